@@ -2,29 +2,116 @@ import React, { useState, useEffect, useCallback, useRef, memo, useMemo } from '
 import './App.css';
 
 // Import custom hooks and components
-import useDailyLog from './hooks/useDailyLog';
+import useDailyLog, { dailyLogKey } from './hooks/useDailyLog';
+import useSubcontractors from './hooks/useSubcontractors';
 import useChartExport from './hooks/useChartExport';
 import SubmitModal from './components/SubmitModal';
 import ProgressStats from './components/ProgressStats';
 import HistoryModal from './components/HistoryModal';
+import ProgressTree from './components/ProgressTree';
+import PanelBlockLayer from './components/PanelBlockLayer';
+import SearchBox from './components/SearchBox';
+import LayoutReportBanner from './components/LayoutReportBanner';
+import ProjectSwitcher from './components/ProjectSwitcher';
+import ProjectImportModal from './components/ProjectImportModal';
+import ScaleBar from './components/ScaleBar';
+import BasemapView from './components/BasemapView';
+import SelectionTools from './components/SelectionTools';
+import StatusTools from './components/StatusTools';
+import SelectionPreviewLayer from './components/SelectionPreviewLayer';
+import BulkChangeConfirm from './components/BulkChangeConfirm';
+import WorkflowModal from './components/WorkflowModal';
+import PunchItemModal from './components/PunchItemModal';
+import PunchListPanel from './components/PunchListPanel';
+import NotesPanel from './components/NotesPanel';
+import CrewSelector from './components/CrewSelector';
+import CrewReportModal from './components/CrewReportModal';
+import SubcontractorsModal from './components/SubcontractorsModal';
+import TimelinePlayer from './components/TimelinePlayer';
+import AreaOverlayLayer from './components/AreaOverlayLayer';
+import AreaBreakdown from './components/AreaBreakdown';
+import PunchMarkerLayer from './components/PunchMarkerLayer';
+import PhotoAttachments from './components/PhotoAttachments';
+import {
+  loadProject, saveProject, saveSnapshot, loadSnapshot, MAX_HISTORY_ENTRIES,
+  listSites, saveSite, loadSiteLayers, deleteSite,
+  listPhotos, savePhotos, deletePhotos
+} from './utils/projectStore';
+import { indexKeysToPanelIds, reconcilePanelStates } from './utils/panelIdentity';
+import { BUILTIN_PROJECT_ID, fetchBuiltinLayers, prepareLayout } from './utils/layoutLoader';
+import { diffPanelStates } from './utils/changeLog';
+import { UNATTRIBUTED, buildCrewStyles, creditReversedCrews, crewLabel, crewPanelStates, crewsInLog } from './utils/crews';
+import { listedSubcontractors, relinkRecords, subcontractorOf } from './utils/subcontractors';
+import { statesAt } from './utils/timeline';
+import { buildSubAreas, buildInverterBoxes, heatColor } from './utils/areas';
+import { buildHierarchy } from './utils/hierarchy';
+import { buildSearchIndex } from './utils/panelSearch';
+import { buildPanelGeometry, nearestLabelledPanel } from './utils/panelGeometry';
+import { findRowPanels } from './utils/panelRows';
+import { SELECTION_TOOLS } from './utils/selectionTools';
+import { statusToolsFor } from './utils/statusTools';
+import { createGridIndex } from './utils/spatialIndex';
+import { buildStageStyles } from './utils/panelStyle';
+import { DEFAULT_WORKFLOW, ALL_KEYS, getStage, nextState, countStages, stagesInUse } from './utils/workflow';
+import { createLocalProjection, polylineMeters, formatMeters } from './utils/projection';
+import { createPunchItem, updatePunchItem, categoryLabel, severityLabel, SIDE_LABELS } from './utils/punchList';
+import { createPhoto, referencedPhotoIds } from './utils/photos';
+import { createNote, migrateCanvasNotes, notesToGeoJSON, notesFromGeoJSON } from './utils/notes';
 
-// Panel states: null (none), 'mc4' (blue - installed), 'terminated' (green - string terminated)
-const PANEL_STATES = {
-  NONE: null,
-  MC4_INSTALLED: 'mc4',
-  TERMINATED: 'terminated'
-};
+// Panel states: { left, right, panel } - the workflow stage id of each end, and of the
+// panel as a whole for per-panel stages (see utils/workflow.js). Missing = none.
 
-// SVG Note Marker component - renders inside SVG (optimized - no filters)
-const SvgNoteMarker = memo(({ note, isSelected, viewBoxWidth, onClick }) => {
-  // Calculate zoom level: higher zoom = smaller viewBox width
-  // Base canvas width is ~1200, so zoom factor = 1200 / viewBoxWidth
+// Units (ends / panels) a status tool would change on the given panels: [{ geometry, side, to }]
+function planChanges(geometries, tool, panelStates, workflow) {
+  const changes = [];
+  geometries.forEach((geometry) => {
+    const state = panelStates[geometry.panelId] || {};
+    ALL_KEYS.forEach((side) => {
+      const current = state[side] || null;
+      const to = nextState(workflow, side, current, tool);
+      if (to !== current) changes.push({ geometry, side, to });
+    });
+  });
+  return changes;
+}
+
+// Selections changing more ends than this ask for confirmation (user-adjustable)
+const DEFAULT_BULK_THRESHOLD = 200;
+
+// Above this viewBox width (zoomed out) panels are drawn as merged block paths
+const LOD_VIEWBOX_WIDTH = 300;
+// Extra canvas units rendered around the viewBox so panning doesn't show empty edges
+const CULL_MARGIN = 10;
+// Largest end-to-end gap between two tables still counted as one physical row
+const ROW_MAX_GAP_M = 2;
+// How far from a note to look for a panel to describe its location by
+const NOTE_PANEL_SEARCH_M = 15;
+
+// Part of a panel a punch-mode click refers to: the outer thirds are its ends,
+// the middle third the whole panel
+function punchSideAt(geometry, point) {
+  const distLeft = Math.hypot(point.x - geometry.left.x, point.y - geometry.left.y);
+  const distRight = Math.hypot(point.x - geometry.right.x, point.y - geometry.right.y);
+  const t = distLeft / (distLeft + distRight);
+  if (t < 1 / 3) return 'left';
+  if (t > 2 / 3) return 'right';
+  return 'panel';
+}
+
+// Note marker radius in canvas units. Calculate zoom level: higher zoom = smaller
+// viewBox width. Base canvas width is ~1200, so zoom factor = 1200 / viewBoxWidth
+function noteMarkerRadius(viewBoxWidth) {
   const zoomFactor = 1200 / viewBoxWidth;
-  
   // Scale radius based on zoom: zoom in = smaller radius
   const baseRadius = 4; // Base radius at normal zoom
-  const radius = Math.max(1.5, baseRadius / Math.sqrt(zoomFactor));
+  return Math.max(1.5, baseRadius / Math.sqrt(zoomFactor));
+}
+
+// SVG Note Marker component - renders inside SVG (optimized - no filters)
+const SvgNoteMarker = memo(({ note, x, y, isSelected, viewBoxWidth, onClick }) => {
+  const radius = noteMarkerRadius(viewBoxWidth);
   const innerRadius = radius * 0.4;
+  const photoCount = note.photoIds?.length || 0;
   
   return (
     <g 
@@ -35,31 +122,47 @@ const SvgNoteMarker = memo(({ note, isSelected, viewBoxWidth, onClick }) => {
       style={{ cursor: 'pointer' }}
     >
       <circle
-        cx={note.svgX}
-        cy={note.svgY}
+        cx={x}
+        cy={y}
         r={isSelected ? radius * 1.4 : radius}
-        fill={isSelected ? '#9b59b6' : '#e74c3c'}
-        stroke={isSelected ? '#8e44ad' : '#c0392b'}
+        fill={isSelected ? '#9b59b6' : note.resolved ? '#95a5a6' : '#e74c3c'}
+        stroke={isSelected ? '#8e44ad' : note.resolved ? '#7f8c8d' : '#c0392b'}
         strokeWidth={isSelected ? radius * 0.3 : radius * 0.15}
       />
       <circle
-        cx={note.svgX}
-        cy={note.svgY}
+        cx={x}
+        cy={y}
         r={innerRadius}
         fill="white"
         pointerEvents="none"
       />
+      {/* Notes with photos get a blue badge */}
+      {photoCount > 0 && (
+        <circle
+          cx={x + radius * 0.75}
+          cy={y - radius * 0.75}
+          r={radius * 0.4}
+          fill="#3498db"
+          stroke="white"
+          strokeWidth={radius * 0.1}
+          pointerEvents="none"
+        />
+      )}
+      <title>{note.text}{photoCount > 0 ? ` (📷 ${photoCount})` : ''}</title>
     </g>
   );
 });
 
 // Note Editor component - HTML overlay for editing
-function NoteEditor({ note, onUpdate, onDelete, onClose, screenX, screenY }) {
+function NoteEditor({ note, photos, onAddPhotos, onUpdate, onDelete, onClose, screenX, screenY }) {
   const [text, setText] = useState(note.text);
+  const [photoIds, setPhotoIds] = useState(note.photoIds || []);
 
   const handleSave = () => {
-    if (text.trim()) {
-      onUpdate(note.id, text);
+    // Unchanged notes keep their updated time and add no undo step
+    const isChanged = text !== note.text || photoIds.join() !== (note.photoIds || []).join();
+    if (isChanged && (text.trim() || photoIds.length > 0)) {
+      onUpdate(note.id, { text, photoIds });
     }
     onClose();
   };
@@ -91,6 +194,7 @@ function NoteEditor({ note, onUpdate, onDelete, onClose, screenX, screenY }) {
         onKeyDown={handleKeyDown}
         placeholder="Write a note..."
       />
+      <PhotoAttachments photoIds={photoIds} photos={photos} onAdd={onAddPhotos} onChange={setPhotoIds} />
       <div className="note-actions">
         <button onClick={handleSave}>Save</button>
         <button onClick={() => onDelete(note.id)}>Delete</button>
@@ -100,69 +204,26 @@ function NoteEditor({ note, onUpdate, onDelete, onClose, screenX, screenY }) {
   );
 }
 
-// Optimized Panel Component with Half-Split Click Areas
-const Panel = memo(({ feature, index, state, toSvgCoords }) => {
-  const coords = feature.geometry.coordinates;
-  if (!coords || coords.length < 2) return null;
-  
+// Optimized Panel Component - draws from the precomputed geometry cache
+const Panel = memo(({ geometry, state, isHighlighted, stageStyles }) => {
   const [isHovered, setIsHovered] = useState(false);
-  const text = feature.properties.text;
-  
-  // 1. Convert to SVG points
-  const uniqueCoords = (coords.length > 0 && 
-    Math.abs(coords[0][0] - coords[coords.length-1][0]) < 1e-9 && 
-    Math.abs(coords[0][1] - coords[coords.length-1][1]) < 1e-9)
-      ? coords.slice(0, -1) 
-      : coords;
-      
-  const svgPts = uniqueCoords.map(c => toSvgCoords(c[0], c[1]));
-  const pointsStr = svgPts.map(p => `${p.x},${p.y}`).join(' ');
-  
-  // 2. Identify edges and find 2 shortest (Ends)
-  const edges = [];
-  for (let i = 0; i < svgPts.length; i++) {
-    const p1 = svgPts[i];
-    const p2 = svgPts[(i + 1) % svgPts.length];
-    const len = Math.hypot(p2.x - p1.x, p2.y - p1.y);
-    edges.push({ p1, p2, len, center: { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 } });
-  }
-  
-  edges.sort((a, b) => a.len - b.len);
-  const shortEdges = edges.slice(0, 2);
-  shortEdges.sort((a, b) => (a.center.x - b.center.x) || (a.center.y - b.center.y));
-  
-  const leftEdge = shortEdges[0];
-  const rightEdge = shortEdges[1];
-  
-  // Calculate panel center
-  const center = {
-    x: svgPts.reduce((sum, p) => sum + p.x, 0) / svgPts.length,
-    y: svgPts.reduce((sum, p) => sum + p.y, 0) / svgPts.length
-  };
-  
-  const width = leftEdge ? leftEdge.len : 10;
-  const endRadius = Math.max(0.6, Math.min(1.5, width * 0.35)); 
+  const { panelId, label, pointsStr, center, leftPos, rightPos, endRadius } = geometry;
+  const currentState = state || {};
   
-  // Calculate inset positions for indicators
-  const getInsetPos = (edgeCenter, panelCenter, radius) => {
-    const dx = panelCenter.x - edgeCenter.x;
-    const dy = panelCenter.y - edgeCenter.y;
-    const dist = Math.hypot(dx, dy);
-    if (dist === 0) return edgeCenter;
-    
-    const moveAmt = Math.min(dist / 2, radius * 1.5); 
-    const ratio = moveAmt / dist;
-    
-    return {
-      x: edgeCenter.x + dx * ratio,
-      y: edgeCenter.y + dy * ratio
-    };
-  };
+  const panelStyle = stageStyles[currentState.panel];
   
-  const leftPos = leftEdge ? getInsetPos(leftEdge.center, center, endRadius) : center;
-  const rightPos = rightEdge ? getInsetPos(rightEdge.center, center, endRadius) : center;
-
-  const currentState = state || {};
+  const renderEnd = (pos, endState) => endState && stageStyles[endState] && (
+    <circle
+      cx={pos.x}
+      cy={pos.y}
+      r={endRadius}
+      fill={stageStyles[endState].fill}
+      stroke={stageStyles[endState].stroke}
+      strokeWidth={0.15}
+      opacity={0.95}
+      pointerEvents="none"
+    />
+  );
   
   return (
     <g 
@@ -170,18 +231,23 @@ const Panel = memo(({ feature, index, state, toSvgCoords }) => {
       onMouseEnter={() => setIsHovered(true)}
       onMouseLeave={() => setIsHovered(false)}
     >
+      {/* Per-panel stage fill */}
+      {panelStyle && (
+        <polygon points={pointsStr} fill={panelStyle.fill} fillOpacity={0.4} stroke="none" pointerEvents="none" />
+      )}
+
       {/* Main panel shape */}
       <polygon
         points={pointsStr}
-        fill={isHovered ? "rgba(71, 85, 105, 0.12)" : "rgba(71, 85, 105, 0.05)"}
-        stroke={isHovered ? "#334155" : "#64748b"}
-        strokeWidth={isHovered ? 0.4 : 0.25}
+        fill={isHighlighted ? "rgba(245, 158, 11, 0.35)" : isHovered ? "rgba(71, 85, 105, 0.12)" : "rgba(71, 85, 105, 0.05)"}
+        stroke={isHighlighted ? "#d97706" : isHovered ? "#334155" : "#64748b"}
+        strokeWidth={isHighlighted ? 0.5 : isHovered ? 0.4 : 0.25}
         style={{ cursor: 'default' }}
-        data-panel-index={index}
+        data-panel-id={panelId}
       />
       
       {/* Text Label on Hover */}
-      {isHovered && text && (
+      {isHovered && label && (
         <text
           x={center.x}
           y={center.y}
@@ -194,45 +260,21 @@ const Panel = memo(({ feature, index, state, toSvgCoords }) => {
           pointerEvents="none"
           style={{ textShadow: '0 0 2px #f8fafc, 0 0 4px #f8fafc' }}
         >
-          {text}
+          {label}
         </text>
       )}
       
-      {/* Left Indicator */}
-      {currentState.left && (
-        <circle
-          cx={leftPos.x}
-          cy={leftPos.y}
-          r={endRadius}
-          fill={currentState.left === PANEL_STATES.MC4_INSTALLED ? '#0066cc' : '#00aa00'}
-          stroke={currentState.left === PANEL_STATES.MC4_INSTALLED ? '#004499' : '#007700'}
-          strokeWidth={0.15}
-          opacity={0.95}
-          pointerEvents="none"
-        />
-      )}
-      
-      {/* Right Indicator */}
-      {currentState.right && (
-        <circle
-          cx={rightPos.x}
-          cy={rightPos.y}
-          r={endRadius}
-          fill={currentState.right === PANEL_STATES.MC4_INSTALLED ? '#0066cc' : '#00aa00'}
-          stroke={currentState.right === PANEL_STATES.MC4_INSTALLED ? '#004499' : '#007700'}
-          strokeWidth={0.15}
-          opacity={0.95}
-          pointerEvents="none"
-        />
-      )}
+      {/* Left / Right Indicators */}
+      {renderEnd(leftPos, currentState.left)}
+      {renderEnd(rightPos, currentState.right)}
     </g>
   );
 }, (prevProps, nextProps) => {
   return (
-    prevProps.index === nextProps.index &&
+    prevProps.geometry === nextProps.geometry &&
     prevProps.state === nextProps.state && 
-    prevProps.toSvgCoords === nextProps.toSvgCoords &&
-    prevProps.feature === nextProps.feature
+    prevProps.isHighlighted === nextProps.isHighlighted &&
+    prevProps.stageStyles === nextProps.stageStyles
   );
 });
 
@@ -258,32 +300,18 @@ const Boundary = memo(({ feature, toSvgCoords }) => {
   );
 }, (prevProps, nextProps) => prevProps.feature === nextProps.feature);
 
-const InvPoint = memo(({ feature, toSvgCoords }) => {
-  const coords = feature.geometry.coordinates;
-  if (!coords || coords.length < 3) return null;
-  
-  // Calculate bounding box of the LineString
-  const svgCoords = coords.map(c => toSvgCoords(c[0], c[1]));
-  const xs = svgCoords.map(p => p.x);
-  const ys = svgCoords.map(p => p.y);
-  const minX = Math.min(...xs);
-  const maxX = Math.max(...xs);
-  const minY = Math.min(...ys);
-  const maxY = Math.max(...ys);
-  
-  return (
-    <rect
-      x={minX}
-      y={minY}
-      width={maxX - minX}
-      height={maxY - minY}
-      fill="#f59e0b"
-      stroke="#d97706"
-      strokeWidth={0.3}
-      opacity={0.85}
-    />
-  );
-}, (prevProps, nextProps) => prevProps.feature === nextProps.feature);
+const InvPoint = memo(({ rect }) => (
+  <rect
+    x={rect.minX}
+    y={rect.minY}
+    width={rect.maxX - rect.minX}
+    height={rect.maxY - rect.minY}
+    fill="#f59e0b"
+    stroke="#d97706"
+    strokeWidth={0.3}
+    opacity={0.85}
+  />
+));
 
 const TextLabel = memo(({ feature, toSvgCoords }) => {
   const coords = feature.geometry.coordinates;
@@ -320,35 +348,112 @@ const TextLabel = memo(({ feature, toSvgCoords }) => {
 }, (prevProps, nextProps) => prevProps.feature === nextProps.feature);
 
 export default function App() {
+  // Active solar site: the built-in layout or one imported into IndexedDB
+  const [activeProjectId, setActiveProjectId] = useState(
+    () => localStorage.getItem('activeProjectId') || BUILTIN_PROJECT_ID
+  );
+  const [sites, setSites] = useState([]);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  
   // Custom hooks for daily log and export
-  const { dailyLog, addRecord, resetLog } = useDailyLog();
+  const { dailyLog, records: logRecords, addRecord, updateRecord, removeRecord, updateRecords } = useDailyLog(activeProjectId);
+  const { subcontractors, saveSubcontractors, mergeSubcontractor } = useSubcontractors();
   const { exportToExcel } = useChartExport();
   
   // Submit modal state
   const [isSubmitModalOpen, setIsSubmitModalOpen] = useState(false);
   const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isSubcontractorsOpen, setIsSubcontractorsOpen] = useState(false);
+  const [isTreeOpen, setIsTreeOpen] = useState(false);
+  // Read-only Leaflet view over tiles / a drone orthophoto instead of the plan SVG
+  const [isBasemapMode, setIsBasemapMode] = useState(false);
+  const [isWorkflowOpen, setIsWorkflowOpen] = useState(false);
   
   // GeoJSON verileri
   const [panelsData, setPanelsData] = useState(null);
   const [lineData, setLineData] = useState(null);
   const [invPointData, setInvPointData] = useState(null);
-  const [textData, setTextData] = useState(null);
   
-  // Panel durumları: { panelIndex: { left: state, right: state } }
+  // Panel durumları: { panelId: { left: state, right: state, panel: state } }
   const [panelStates, setPanelStates] = useState({});
   
-  // History for undo/redo
-  const [history, setHistory] = useState([{}]);
+  // Configured workflow stages (see utils/workflow.js)
+  const [workflow, setWorkflow] = useState(DEFAULT_WORKFLOW);
+  const stageStyles = useMemo(() => buildStageStyles(workflow), [workflow]);
+  const statusTools = useMemo(() => statusToolsFor(workflow, stageStyles), [workflow, stageStyles]);
+  
+  // History for undo/redo: [{ panelStates, notes }]
+  const [history, setHistory] = useState([{ panelStates: {}, notes: [] }]);
   const [historyIndex, setHistoryIndex] = useState(0);
   
+  // Timestamped per-end changes, used to compute daily deltas
+  const [changeLog, setChangeLog] = useState([]);
+  const loggedStatesRef = useRef(null);
+  // Panel states restored by the last undo/redo, so their diff keeps the crews of the work it reverses
+  const historyStepStatesRef = useRef(null);
+  
+  // Stages still referenced by panels, undo history, the change log or daily records;
+  // these can't be deleted. Only gathered while the workflow editor is open.
+  const usedStageIds = useMemo(
+    () => (isWorkflowOpen ? stagesInUse({ panelStates, history, changeLog, records: logRecords }) : new Set()),
+    [isWorkflowOpen, panelStates, history, changeLog, logRecords]
+  );
+  
   // Notes
   const [notes, setNotes] = useState([]);
   const [isAddingNote, setIsAddingNote] = useState(false);
+  const [isNotesPanelOpen, setIsNotesPanelOpen] = useState(false);
+  // Name stamped on new notes and panel changes, remembered per device
+  const [userName, setUserName] = useState(() => localStorage.getItem('userName') || '');
+  
+  // Crew credited with panel changes, and the "colour by crew" map view
+  // (crewFilter null = all crews)
+  const [activeCrew, setActiveCrew] = useState(() => localStorage.getItem('activeCrew') || '');
+  const [isCrewView, setIsCrewView] = useState(false);
+  const [crewFilter, setCrewFilter] = useState(null);
+  const [isCrewReportOpen, setIsCrewReportOpen] = useState(false);
+  
+  // Time-travel playback: the map shows panel states at this time (null = live, editable)
+  const [playbackAt, setPlaybackAt] = useState(null);
+  // Submission snapshot shown instead of the live map: { snapshot, record }
+  const [viewedSnapshot, setViewedSnapshot] = useState(null);
+  // Past states are shown read-only
+  const isReadOnly = playbackAt !== null || viewedSnapshot !== null;
+  
+  // Completion overlay: null = off, 'areas' = boundary sub-areas, 'boxes' = inverter boxes.
+  // Areas are filled by the share of units that reached overlayStageId.
+  const [overlayMode, setOverlayMode] = useState(null);
+  const [overlayStageId, setOverlayStageId] = useState(null);
+  const [selectedAreaId, setSelectedAreaId] = useState(null);
+  
+  // Punch list: defects attached to panels / panel ends
+  const [punchItems, setPunchItems] = useState([]);
+  const [isPunchMode, setIsPunchMode] = useState(false);
+  const [isPunchListOpen, setIsPunchListOpen] = useState(false);
+  const [editingPunch, setEditingPunch] = useState(null); // { item, isNew }
+  const [selectedPunchId, setSelectedPunchId] = useState(null);
+  
+  // Photos attached to notes / punch items, by id
+  const [photos, setPhotos] = useState(new Map());
+  
+  // Ruler: clicked points in canvas space, plus the cursor position for the segment being drawn
+  const [isMeasuring, setIsMeasuring] = useState(false);
+  const [measurePoints, setMeasurePoints] = useState([]);
+  const [measureCursor, setMeasureCursor] = useState(null);
+  
+  // Search / focus results: targets from panelSearch, activeResult -1 = showing all
+  const [searchResults, setSearchResults] = useState([]);
+  const [activeResult, setActiveResult] = useState(-1);
+  
+  // Orphaned/new panels found when mapping saved progress onto the loaded layout,
+  // and features the loader had to skip
+  const [layoutReport, setLayoutReport] = useState(null);
   
   // Map state
   const [viewBox, setViewBox] = useState({ x: 0, y: 0, width: 1000, height: 800 });
-  // Fixed drawing area (geometry coordinates are projected to this area, zoom/pan only affects viewBox)
-  const [canvasSize, setCanvasSize] = useState({ width: 1000, height: 800 });
+  // Local projection of the loaded site: fixes the drawing area (zoom/pan only affects viewBox)
+  // and the metres per canvas unit
+  const [projection, setProjection] = useState(null);
   const [isPanning, setIsPanning] = useState(false);
   const [panStart, setPanStart] = useState({ x: 0, y: 0 });
   
@@ -357,7 +462,20 @@ export default function App() {
   const [selectionStart, setSelectionStart] = useState(null);
   const [selectionEnd, setSelectionEnd] = useState(null);
   const [isUnselectMode, setIsUnselectMode] = useState(false); // Right-click = unselect
-  const [clickedElement, setClickedElement] = useState(null); // Track clicked element for panel clicks
+  
+  // Active selection tool (see SelectionTools) and the lasso / polygon being drawn:
+  // { points, unselect }, plus the cursor for the polygon's next edge
+  const [selectionTool, setSelectionTool] = useState('rect');
+  // Status tool applied by clicks and selections; right-click always clears
+  const [statusTool, setStatusTool] = useState('cycle');
+  // Large selection waiting for confirmation: { geometries, tool, changeCount, panelCount }
+  const [pendingChange, setPendingChange] = useState(null);
+  const [bulkThreshold, setBulkThreshold] = useState(() => {
+    const stored = localStorage.getItem('bulkConfirmThreshold');
+    return stored === null ? DEFAULT_BULK_THRESHOLD : Number(stored);
+  });
+  const [selectionPath, setSelectionPath] = useState(null);
+  const [selectionCursor, setSelectionCursor] = useState(null);
   
   // Note selection state (when in note mode)
   const [isNoteSelecting, setIsNoteSelecting] = useState(false);
@@ -368,157 +486,387 @@ export default function App() {
   
   // SVG ref
   const svgRef = useRef(null);
-  
-  // Bounds for coordinate transformation
-  const boundsRef = useRef(null);
 
   // History refs
   const historyRef = useRef(history);
   const historyIndexRef = useRef(historyIndex);
+  const notesRef = useRef(notes);
   
   useEffect(() => {
     historyRef.current = history;
     historyIndexRef.current = historyIndex;
   }, [history, historyIndex]);
 
-  // GeoJSON verilerini yükle
   useEffect(() => {
-    Promise.all([
-      fetch('/panels.geojson').then(r => r.json()),
-      fetch('/line.geojson').then(r => r.json()),
-      fetch('/inv point.geojson').then(r => r.json()),
-      fetch('/text.geojson').then(r => r.json())
-    ]).then(([panels, line, invPoint, text]) => {
-      // Spatial join: Match text to panels
-      const textPoints = text.features.map(t => ({
-        text: t.properties.text,
-        coord: t.geometry.coordinates
+    notesRef.current = notes;
+  }, [notes]);
+
+  // Push a new snapshot with the changed parts ({ panelStates } and/or { notes }),
+  // dropping any redo branch and the oldest entries beyond the cap
+  const pushHistory = useCallback((changes) => {
+    const newHistory = historyRef.current.slice(0, historyIndexRef.current + 1);
+    newHistory.push({ ...newHistory[newHistory.length - 1], ...changes });
+    const bounded = newHistory.slice(-MAX_HISTORY_ENTRIES);
+    setHistory(bounded);
+    setHistoryIndex(bounded.length - 1);
+  }, []);
+
+  // Every note edit goes through here so it can be undone like panel changes
+  const changeNotes = useCallback((updater) => {
+    const next = updater(notesRef.current);
+    if (next === notesRef.current) return;
+    notesRef.current = next;
+    setNotes(next);
+    pushHistory({ notes: next });
+  }, [pushHistory]);
+
+  // Load the active site's layers and restore its saved progress
+  useEffect(() => {
+    let isCancelled = false;
+    const layersPromise = activeProjectId === BUILTIN_PROJECT_ID
+      ? fetchBuiltinLayers()
+      : loadSiteLayers(activeProjectId);
+    
+    Promise.all([layersPromise, loadProject(activeProjectId), listPhotos(activeProjectId)]).then(([rawLayers, project, storedPhotos]) => {
+      if (isCancelled) return;
+      // Geometry normalization, label join, stable panel ids and bounds
+      const { layers, panelIds, bounds, skipped } = prepareLayout(rawLayers);
+      const siteProjection = bounds ? createLocalProjection(bounds) : null;
+
+      // Restore saved progress first so the panels never render without it.
+      // States saved before stable ids were keyed by feature index; previously
+      // orphaned states are retried in case their panels are back in this layout.
+      const toIds = (states) => project.panelKey === 'index' ? indexKeysToPanelIds(states, panelIds) : states;
+      const { states, orphaned, added } = reconcilePanelStates(
+        { ...project.orphanedPanelStates, ...toIds(project.panelStates) },
+        panelIds,
+        project.layoutPanelIds
+      );
+      const restoredHistory = project.history.map(h => ({
+        panelStates: reconcilePanelStates(toIds(h.panelStates), panelIds).states,
+        notes: migrateCanvasNotes(h.notes, bounds)
       }));
+
+      setPanelStates(states);
+      // Notes saved in canvas coordinates are anchored in lng/lat (stored on the next save)
+      setNotes(migrateCanvasNotes(project.notes, bounds));
+      setPunchItems(project.punchList);
       
-      panels.features.forEach(panel => {
-        const poly = panel.geometry.coordinates;
-        // Calculate bbox
-        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
-        poly.forEach(p => {
-          if (p[0] < minX) minX = p[0];
-          if (p[0] > maxX) maxX = p[0];
-          if (p[1] < minY) minY = p[1];
-          if (p[1] > maxY) maxY = p[1];
-        });
-        
-        // Find text inside
-        const matchingText = textPoints.find(t => {
-          const tx = t.coord[0], ty = t.coord[1];
-          if (tx < minX || tx > maxX || ty < minY || ty > maxY) return false;
-          
-          let inside = false;
-          for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
-            const xi = poly[i][0], yi = poly[i][1];
-            const xj = poly[j][0], yj = poly[j][1];
-            const intersect = ((yi > ty) !== (yj > ty)) &&
-              (tx < (xj - xi) * (ty - yi) / (yj - yi + 1e-9) + xi);
-            if (intersect) inside = !inside;
-          }
-          return inside;
-        });
-        
-        if (matchingText) {
-          panel.properties.text = matchingText.text;
-        }
-      });
+      // Photos no note or punch item refers to any more (deleted, or the editor was cancelled)
+      const photoIds = referencedPhotoIds(project.notes, project.punchList, ...project.history.map(h => h.notes));
+      const unused = storedPhotos.filter(photo => !photoIds.has(photo.id));
+      // A failed cleanup is only logged: the photos stay unused and are retried on the next load
+      if (unused.length > 0) {
+        deletePhotos(unused.map(photo => photo.id)).catch(e => console.error('Error deleting unused photos:', e));
+      }
+      setPhotos(new Map(storedPhotos.filter(photo => photoIds.has(photo.id)).map(photo => [photo.id, photo])));
+      setHistory(restoredHistory);
+      setHistoryIndex(project.historyIndex);
+      setChangeLog(project.changeLog);
+      setWorkflow(project.workflow || DEFAULT_WORKFLOW);
+      
+      const orphanedIds = Object.keys(orphaned);
+      if (orphanedIds.length > 0 || added.length > 0 || Object.keys(skipped).length > 0) {
+        setLayoutReport({ orphaned: orphanedIds, added, skipped });
+      }
+      saveProject(activeProjectId, { panelKey: 'id', layoutPanelIds: panelIds, orphanedPanelStates: orphaned });
 
-      setPanelsData(panels);
-      setLineData(line);
-      setInvPointData(invPoint);
-      setTextData(text);
+      setPanelsData(layers.panels);
+      setLineData(layers.line);
+      setInvPointData(layers.invPoint);
       
-      // Bounds hesapla
-      const allCoords = [];
-      panels.features.forEach(f => {
-        if (f.geometry.coordinates) {
-          f.geometry.coordinates.forEach(c => allCoords.push(c));
-        }
-      });
-      line.features.forEach(f => {
-        if (f.geometry.coordinates) {
-          f.geometry.coordinates.forEach(c => allCoords.push(c));
-        }
-      });
-      invPoint.features.forEach(f => {
-        if (f.geometry.coordinates) {
-          f.geometry.coordinates.forEach(c => allCoords.push(c));
-        }
-      });
-      text.features.forEach(f => {
-        if (f.geometry.coordinates) {
-          allCoords.push(f.geometry.coordinates);
-        }
+      if (siteProjection) {
+        setProjection(siteProjection);
+        setViewBox({ x: 0, y: 0, width: siteProjection.width, height: siteProjection.height });
+      }
+    }).catch(e => {
+      if (isCancelled) return;
+      console.error('Error loading project layout:', e);
+      alert(`Could not load this site: ${e.message}`);
+      setActiveProjectId(BUILTIN_PROJECT_ID);
+    });
+    
+    return () => { isCancelled = true; };
+  }, [activeProjectId]);
+
+  useEffect(() => {
+    listSites().then(setSites);
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem('activeProjectId', activeProjectId);
+  }, [activeProjectId]);
+
+  // Log every panelStates change (including undo/redo) with a timestamp and the
+  // active crew and user; undo/redo keep the crew of the changes they reverse.
+  // The first run after restore only records the baseline.
+  useEffect(() => {
+    if (!panelsData) return;
+    const isHistoryStep = historyStepStatesRef.current === panelStates;
+    if (loggedStatesRef.current && loggedStatesRef.current !== panelStates) {
+      const changes = diffPanelStates(loggedStatesRef.current, panelStates, Date.now(), {
+        crew: activeCrew.trim() || null,
+        user: userName.trim() || null,
       });
-      
-      if (allCoords.length > 0) {
-        const lngs = allCoords.map(c => c[0]);
-        const lats = allCoords.map(c => c[1]);
-        const minLng = Math.min(...lngs);
-        const maxLng = Math.max(...lngs);
-        const minLat = Math.min(...lats);
-        const maxLat = Math.max(...lats);
-        
-        const padding = 0.001;
-        boundsRef.current = {
-          minLng: minLng - padding,
-          maxLng: maxLng + padding,
-          minLat: minLat - padding,
-          maxLat: maxLat + padding
-        };
-        
-        const width = 1200;
-        const height = 900;
-        setCanvasSize({ width, height });
-        setViewBox({ x: 0, y: 0, width, height });
+      if (changes.length > 0) {
+        setChangeLog(prev => [...prev, ...(isHistoryStep ? creditReversedCrews(changes, prev) : changes)]);
       }
+    }
+    loggedStatesRef.current = panelStates;
+  }, [panelsData, panelStates, activeCrew, userName]);
+
+  // Persist progress whenever it changes (debounced so drags don't hammer IndexedDB)
+  useEffect(() => {
+    if (!panelsData) return;
+    const timer = setTimeout(() => {
+      saveProject(activeProjectId, { panelStates, notes, punchList: punchItems, history, historyIndex, changeLog });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [activeProjectId, panelsData, panelStates, notes, punchItems, history, historyIndex, changeLog]);
+
+  // Switch sites. Unmounting the map (panelsData = null) in the same update stops
+  // the debounced save from writing this site's progress under the new id.
+  const switchProject = useCallback((projectId, { saveCurrent = true } = {}) => {
+    if (projectId === activeProjectId) return;
+    if (saveCurrent && panelsData) {
+      saveProject(activeProjectId, { panelStates, notes, punchList: punchItems, history, historyIndex, changeLog });
+    }
+    loggedStatesRef.current = null;
+    setPanelsData(null);
+    setLayoutReport(null);
+    setSearchResults([]);
+    setActiveResult(-1);
+    setEditingNote(null);
+    setEditingPunch(null);
+    setSelectedPunchId(null);
+    setSelectedNotes(new Set());
+    setPendingChange(null);
+    setPlaybackAt(null);
+    setViewedSnapshot(null);
+    setSelectedAreaId(null);
+    setActiveProjectId(projectId);
+  }, [activeProjectId, panelsData, panelStates, notes, punchItems, history, historyIndex, changeLog]);
+
+  const handleImportProject = useCallback(async ({ name, layers }) => {
+    const site = {
+      id: `site-${Date.now()}`,
+      name,
+      createdAt: new Date().toISOString(),
+      panelCount: layers.panels.features.length
+    };
+    try {
+      await saveSite(site, layers);
+      setSites(await listSites());
+      switchProject(site.id);
+    } catch (e) {
+      console.error('Error saving imported site:', e);
+      alert(`Could not store the site: ${e.message}`);
+    }
+  }, [switchProject]);
+
+  const handleDeleteProject = useCallback(async (projectId) => {
+    const site = sites.find(s => s.id === projectId);
+    if (!window.confirm(`Delete "${site ? site.name : projectId}" and all of its progress?`)) return;
+    try {
+      await deleteSite(projectId);
+      localStorage.removeItem(dailyLogKey(projectId));
+      setSites(await listSites());
+      switchProject(BUILTIN_PROJECT_ID, { saveCurrent: false });
+    } catch (e) {
+      console.error('Error deleting site:', e);
+    }
+  }, [sites, switchProject]);
+
+  // Most recent submission time, the start of the "since last submission" window
+  const lastSubmittedAt = useMemo(() => {
+    const times = dailyLog
+      .map(r => (r.submitted_at ? new Date(r.submitted_at).getTime() : null))
+      .filter(t => t !== null);
+    return times.length > 0 ? Math.max(...times) : null;
+  }, [dailyLog]);
+
+  // Attach a panelStates snapshot to each submission so the day can be audited later.
+  // Failures are thrown back to the submit dialog, which shows them.
+  const handleSubmitRecord = useCallback(async (record) => {
+    const snapshotId = await saveSnapshot(activeProjectId, panelStates);
+    addRecord({
+      ...record,
+      submitted_at: new Date().toISOString(),
+      snapshot_id: snapshotId,
     });
+  }, [activeProjectId, panelStates, addRecord]);
+
+  // Show the map as it was stored with a daily record
+  const viewRecordSnapshot = useCallback(async (record) => {
+    const snapshot = await loadSnapshot(record.snapshot_id);
+    if (!snapshot) {
+      alert('The map snapshot of this record is no longer stored.');
+      return;
+    }
+    setPlaybackAt(null);
+    setViewedSnapshot({ snapshot, record });
+    setIsHistoryOpen(false);
   }, []);
 
+  // Link free-text daily log names to registry entries: [{ names, target }]
+  const linkSubcontractorNames = useCallback((links) => {
+    saveSubcontractors(links.map(link => link.target));
+    updateRecords(log => links.reduce((records, { names, target }) => relinkRecords(records, { names }, target), log));
+  }, [saveSubcontractors, updateRecords]);
+
+  // Fold a duplicate registry entry into another and re-credit this site's records
+  const mergeSubcontractors = useCallback((from, into) => {
+    mergeSubcontractor(from.id, into.id);
+    updateRecords(log => relinkRecords(log, { fromIds: [from.id] }, into));
+  }, [mergeSubcontractor, updateRecords]);
+
   // Koordinat dönüşümü - Stable callback
   const toSvgCoords = useCallback((lng, lat) => {
-    if (!boundsRef.current) return { x: 0, y: 0 };
-    const { minLng, maxLng, minLat, maxLat } = boundsRef.current;
-    const x = ((lng - minLng) / (maxLng - minLng)) * canvasSize.width;
-    const y = ((maxLat - lat) / (maxLat - minLat)) * canvasSize.height;
-    return { x, y };
-  }, [canvasSize.width, canvasSize.height]);
+    if (!projection) return { x: 0, y: 0 };
+    return projection.toSvg(lng, lat);
+  }, [projection]);
 
   // Ters koordinat dönüşümü
   const fromSvgCoords = useCallback((svgX, svgY) => {
-    if (!boundsRef.current) return { lng: 0, lat: 0 };
-    const { minLng, maxLng, minLat, maxLat } = boundsRef.current;
-    const lng = (svgX / canvasSize.width) * (maxLng - minLng) + minLng;
-    const lat = maxLat - (svgY / canvasSize.height) * (maxLat - minLat);
-    return { lng, lat };
-  }, [canvasSize.width, canvasSize.height]);
-
-  // Compute counters with useMemo for better performance
-  // MC4: Counts both MC4_INSTALLED and TERMINATED (because terminated means MC4 was done first)
-  // Termination: Only counts TERMINATED
-  const { mc4, termination } = useMemo(() => {
-    const totalPanels = panelsData ? panelsData.features.length : 0;
-    const totalEnds = totalPanels * 2;
-    
-    let mc4Completed = 0;
-    let terminatedCompleted = 0;
-    
-    Object.values(panelStates).forEach(state => {
-      if (state.left === PANEL_STATES.MC4_INSTALLED || state.left === PANEL_STATES.TERMINATED) mc4Completed++;
-      if (state.right === PANEL_STATES.MC4_INSTALLED || state.right === PANEL_STATES.TERMINATED) mc4Completed++;
-      if (state.left === PANEL_STATES.TERMINATED) terminatedCompleted++;
-      if (state.right === PANEL_STATES.TERMINATED) terminatedCompleted++;
-    });
-    
+    if (!projection) return { lng: 0, lat: 0 };
+    return projection.fromSvg(svgX, svgY);
+  }, [projection]);
+
+  // Notes with their canvas position; notes that couldn't be anchored yet are left out
+  const placedNotes = useMemo(() => notes
+    .filter(note => Number.isFinite(note.lng) && Number.isFinite(note.lat))
+    .map(note => ({ note, ...toSvgCoords(note.lng, note.lat) })),
+  [notes, toSvgCoords]);
+
+  // Ruler length in metres, including the segment following the cursor
+  const measurement = useMemo(() => {
+    if (!projection || measurePoints.length === 0) return null;
+    const path = measureCursor ? [...measurePoints, measureCursor] : measurePoints;
     return {
-      mc4: { total: totalEnds, completed: mc4Completed, remaining: totalEnds - mc4Completed },
-      termination: { total: totalEnds, completed: terminatedCompleted, remaining: totalEnds - terminatedCompleted }
+      path,
+      total: polylineMeters(path, projection.metersPerUnit),
+      segment: polylineMeters(path.slice(-2), projection.metersPerUnit),
     };
-  }, [panelsData, panelStates]);
+  }, [projection, measurePoints, measureCursor]);
+
+  // Panel states shown on the map and counters: the live ones, a submission snapshot,
+  // or those at the playback time
+  const shownStates = useMemo(() => {
+    if (viewedSnapshot) return viewedSnapshot.snapshot.panelStates;
+    return playbackAt === null ? panelStates : statesAt(panelStates, changeLog, playbackAt);
+  }, [viewedSnapshot, playbackAt, panelStates, changeLog]);
+  const shownAt = viewedSnapshot ? Date.parse(viewedSnapshot.snapshot.taken_at) : playbackAt;
+
+  // Per-stage counters. Cumulative stages also count units in later stages of the
+  // same scope (terminated means MC4 was done first).
+  const stageTotals = useMemo(() => {
+    const panelIds = panelsData ? panelsData.features.map(f => f.properties.panelId) : [];
+    return countStages(workflow, panelIds, shownStates);
+  }, [panelsData, shownStates, workflow]);
+
+  // Crews in the change log; the map draws crews instead of stages while the crew view is on
+  const crewStyles = useMemo(() => buildCrewStyles(crewsInLog(changeLog)), [changeLog]);
+  const knownCrews = useMemo(() => Object.keys(crewStyles).filter(crew => crew !== UNATTRIBUTED), [crewStyles]);
+  const crewStates = useMemo(() => {
+    if (!isCrewView) return null;
+    const shownLog = shownAt === null ? changeLog : changeLog.filter(change => change.at <= shownAt);
+    return crewPanelStates(shownStates, shownLog, crewFilter);
+  }, [isCrewView, shownStates, changeLog, shownAt, crewFilter]);
+  const mapStates = crewStates || shownStates;
+  const mapStyles = crewStates ? crewStyles : stageStyles;
+
+  // Transformer → inverter → string completion, only built while the tree is shown
+  const hierarchy = useMemo(() => {
+    if (!panelsData || !isTreeOpen) return null;
+    return buildHierarchy(panelsData.features, panelStates, workflow);
+  }, [panelsData, panelStates, workflow, isTreeOpen]);
+
+  // Panel geometry in canvas space, computed once per layout/projection
+  const panelGeometry = useMemo(() => {
+    if (!panelsData) return { list: [], byId: new Map() };
+    return buildPanelGeometry(panelsData.features, toSvgCoords);
+  }, [panelsData, toSvgCoords]);
+
+  const panelIndex = useMemo(
+    () => createGridIndex(panelGeometry.list, g => g.bbox),
+    [panelGeometry]
+  );
+
+  // Notes with the label of their nearest panel, for the notes panel
+  const noteEntries = useMemo(() => {
+    if (!isNotesPanelOpen) return [];
+    const maxDist = projection ? NOTE_PANEL_SEARCH_M / projection.metersPerUnit : 0;
+    return placedNotes.map(({ note, x, y }) => ({
+      note, x, y,
+      panelLabel: nearestLabelledPanel(panelIndex, { x, y }, maxDist)?.label || '',
+    }));
+  }, [isNotesPanelOpen, placedNotes, panelIndex, projection]);
+
+  // Inverter boxes as rectangles, culled the same way as panels
+  const invRects = useMemo(() => {
+    if (!invPointData) return [];
+    return invPointData.features.map((f, id) => {
+      const coords = f.geometry.coordinates;
+      if (!coords || coords.length < 3) return null;
+      const pts = coords.map(c => toSvgCoords(c[0], c[1]));
+      const xs = pts.map(p => p.x);
+      const ys = pts.map(p => p.y);
+      return { id, minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+    }).filter(Boolean);
+  }, [invPointData, toSvgCoords]);
+
+  // Panels grouped by sub-area or inverter box, only built while the overlay is on
+  const overlayAreas = useMemo(() => {
+    if (overlayMode === 'areas') return buildSubAreas(lineData?.features || [], panelGeometry.list, toSvgCoords);
+    if (overlayMode === 'boxes') return buildInverterBoxes(invRects, panelGeometry.list);
+    return [];
+  }, [overlayMode, lineData, invRects, panelGeometry, toSvgCoords]);
+  
+  const areaOfPanel = useMemo(() => {
+    const byPanel = new Map();
+    overlayAreas.forEach(area => area.panelIds.forEach(id => byPanel.set(id, area)));
+    return byPanel;
+  }, [overlayAreas]);
+  
+  // Defaults to the last per-end stage (terminations)
+  const overlayStage = workflow.find(stage => stage.id === overlayStageId) ||
+    workflow.filter(stage => stage.scope === 'end').pop() || workflow[0];
+  
+  const areaCounts = useMemo(
+    () => Object.fromEntries(overlayAreas.map(area => [area.id, countStages(workflow, area.panelIds, shownStates)])),
+    [overlayAreas, workflow, shownStates]
+  );
+  
+  const areaPct = useMemo(() => Object.fromEntries(overlayAreas.map(area => {
+    const { completed, total } = areaCounts[area.id][overlayStage.id];
+    return [area.id, total > 0 ? (completed / total) * 100 : 0];
+  })), [overlayAreas, areaCounts, overlayStage]);
+  
+  const selectedArea = overlayAreas.find(area => area.id === selectedAreaId) || null;
+  
+  const isLowDetail = viewBox.width > LOD_VIEWBOX_WIDTH;
+  const viewBBox = {
+    minX: viewBox.x - CULL_MARGIN,
+    maxX: viewBox.x + viewBox.width + CULL_MARGIN,
+    minY: viewBox.y - CULL_MARGIN,
+    maxY: viewBox.y + viewBox.height + CULL_MARGIN
+  };
+  const visiblePanels = isLowDetail ? [] : panelIndex.query(viewBBox);
+  const visibleInvRects = invRects.filter(r =>
+    r.maxX >= viewBBox.minX && r.minX <= viewBBox.maxX && r.maxY >= viewBBox.minY && r.minY <= viewBBox.maxY
+  );
+
+  // Static search targets (strings, inverters, transformers) for the search box
+  const searchIndex = useMemo(() => {
+    if (!panelsData) return [];
+    return buildSearchIndex(buildHierarchy(panelsData.features, {}));
+  }, [panelsData]);
+
+  const highlightedPanelIds = useMemo(() => {
+    const ids = new Set();
+    searchResults.forEach(target => target.panelIds.forEach(id => ids.add(id)));
+    return ids;
+  }, [searchResults]);
 
   // Get SVG coordinates from mouse event - using SVG's built-in coordinate transformation
   const getSvgCoordsFromEvent = useCallback((e) => {
@@ -538,58 +886,6 @@ export default function App() {
     return { x: svgPoint.x, y: svgPoint.y };
   }, []);
 
-  // Convert canvas coordinates to screen coordinates
-  const canvasToScreen = useCallback((canvasX, canvasY) => {
-    const svg = svgRef.current;
-    if (!svg) return { x: 0, y: 0 };
-    const rect = svg.getBoundingClientRect();
-    const screenX = ((canvasX - viewBox.x) / viewBox.width) * rect.width + rect.left;
-    const screenY = ((canvasY - viewBox.y) / viewBox.height) * rect.height + rect.top;
-    return { x: screenX, y: screenY };
-  }, [viewBox]);
-
-  // Calculate panel ends (left and right edge centers) for a panel
-  const getPanelEnds = useCallback((panelIndex) => {
-    if (!panelsData) return null;
-    const panel = panelsData.features[panelIndex];
-    if (!panel) return null;
-    
-    const coords = panel.geometry.coordinates;
-    const uniqueCoords = (coords.length > 0 && 
-      Math.abs(coords[0][0] - coords[coords.length-1][0]) < 1e-9 && 
-      Math.abs(coords[0][1] - coords[coords.length-1][1]) < 1e-9)
-        ? coords.slice(0, -1) 
-        : coords;
-    
-    const svgPts = uniqueCoords.map(c => toSvgCoords(c[0], c[1]));
-    
-    // Find the 2 shortest edges (panel ends)
-    const edges = [];
-    for (let i = 0; i < svgPts.length; i++) {
-      const p1 = svgPts[i];
-      const p2 = svgPts[(i + 1) % svgPts.length];
-      const len = Math.hypot(p2.x - p1.x, p2.y - p1.y);
-      edges.push({ p1, p2, len, center: { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 } });
-    }
-    
-    edges.sort((a, b) => a.len - b.len);
-    const shortEdges = edges.slice(0, 2);
-    shortEdges.sort((a, b) => (a.center.x - b.center.x) || (a.center.y - b.center.y));
-    
-    // Calculate panel center
-    const center = {
-      x: svgPts.reduce((sum, p) => sum + p.x, 0) / svgPts.length,
-      y: svgPts.reduce((sum, p) => sum + p.y, 0) / svgPts.length
-    };
-    
-    return {
-      left: shortEdges[0]?.center || center,
-      right: shortEdges[1]?.center || center,
-      center,
-      allPoints: svgPts
-    };
-  }, [panelsData, toSvgCoords]);
-
   // Check if a point is inside the selection box
   const isPointInBox = useCallback((point, minX, maxX, minY, maxY) => {
     return point.x >= minX && point.x <= maxX && point.y >= minY && point.y <= maxY;
@@ -630,16 +926,21 @@ export default function App() {
   }, []);
 
   // Robust panel vs selection-box intersection (independent of zoom)
-  const isPanelInSelection = useCallback((panelIndex, selStart, selEnd) => {
-    if (!panelsData || !selStart || !selEnd) return false;
-    const ends = getPanelEnds(panelIndex);
-    if (!ends || !ends.allPoints || ends.allPoints.length === 0) return false;
+  const isPanelInSelection = useCallback((geometry, selStart, selEnd) => {
+    if (!geometry || !selStart || !selEnd) return false;
+    const points = geometry.points;
+    if (points.length === 0) return false;
 
     // Selection rectangle corners (axis-aligned)
     const minX = Math.min(selStart.x, selEnd.x);
     const maxX = Math.max(selStart.x, selEnd.x);
     const minY = Math.min(selStart.y, selEnd.y);
     const maxY = Math.max(selStart.y, selEnd.y);
+
+    // 0) Cheap reject on the cached bbox
+    const { bbox } = geometry;
+    if (bbox.maxX < minX || bbox.minX > maxX || bbox.maxY < minY || bbox.minY > maxY) return false;
+
     const rectCorners = [
       { x: minX, y: minY },
       { x: maxX, y: minY },
@@ -648,10 +949,10 @@ export default function App() {
     ];
 
     // 1) Any panel vertex inside rectangle?
-    if (ends.allPoints.some(p => isPointInBox(p, minX, maxX, minY, maxY))) return true;
+    if (points.some(p => isPointInBox(p, minX, maxX, minY, maxY))) return true;
 
     // 2) Any rectangle corner inside panel polygon?
-    if (rectCorners.some(corner => isPointInPolygon(corner, ends.allPoints))) return true;
+    if (rectCorners.some(corner => isPointInPolygon(corner, points))) return true;
 
     // 3) Any edge intersect?
     const rectEdges = [
@@ -660,20 +961,112 @@ export default function App() {
       [rectCorners[2], rectCorners[3]],
       [rectCorners[3], rectCorners[0]]
     ];
-    for (let i = 0; i < ends.allPoints.length; i++) {
-      const a = ends.allPoints[i];
-      const b = ends.allPoints[(i + 1) % ends.allPoints.length];
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
       for (const [r1, r2] of rectEdges) {
         if (segmentsIntersect(a, b, r1, r2)) return true;
       }
     }
 
     return false;
-  }, [panelsData, getPanelEnds, isPointInBox, isPointInPolygon, segmentsIntersect]);
+  }, [isPointInBox, isPointInPolygon, segmentsIntersect]);
+
+  // Panel vs lasso / click-placed polygon, with the same three tests as the rectangle
+  const isPanelInPolygon = useCallback((geometry, polygon) => {
+    const points = geometry.points;
+    if (points.length === 0 || polygon.length < 3) return false;
+
+    if (points.some(p => isPointInPolygon(p, polygon))) return true;
+    if (polygon.some(p => isPointInPolygon(p, points))) return true;
+    for (let i = 0; i < points.length; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      for (let j = 0; j < polygon.length; j++) {
+        if (segmentsIntersect(a, b, polygon[j], polygon[(j + 1) % polygon.length])) return true;
+      }
+    }
+    return false;
+  }, [isPointInPolygon, segmentsIntersect]);
+
+  // Apply a status tool to the given panels
+  const applyToPanels = useCallback((geometries, tool) => {
+    setPanelStates(prev => {
+      const changes = planChanges(geometries, tool, prev, workflow);
+      if (changes.length === 0) return prev;
+      
+      const newStates = { ...prev };
+      changes.forEach(({ geometry, side, to }) => {
+        newStates[geometry.panelId] = { ...newStates[geometry.panelId], [side]: to };
+      });
+      pushHistory({ panelStates: newStates });
+      
+      return newStates;
+    });
+  }, [workflow, pushHistory]);
+
+  // Apply the active status tool to a selection (right-click: clear it). Selections
+  // changing more ends / panels than the threshold wait for confirmation first.
+  const requestStatusChange = useCallback((geometries, unselect = false) => {
+    const tool = unselect ? 'clear' : statusTool;
+    const changes = planChanges(geometries, tool, panelStates, workflow);
+    if (changes.length === 0) return;
+    
+    if (changes.length > bulkThreshold) {
+      const panelCount = new Set(changes.map(change => change.geometry.panelId)).size;
+      setPendingChange({ geometries, tool, changeCount: changes.length, panelCount });
+    } else {
+      applyToPanels(geometries, tool);
+    }
+  }, [statusTool, panelStates, workflow, bulkThreshold, applyToPanels]);
+
+  const confirmPendingChange = useCallback(() => {
+    if (pendingChange) applyToPanels(pendingChange.geometries, pendingChange.tool);
+    setPendingChange(null);
+  }, [pendingChange, applyToPanels]);
+
+  const cancelPendingChange = useCallback(() => setPendingChange(null), []);
+
+  const updateBulkThreshold = useCallback((threshold) => {
+    setBulkThreshold(threshold);
+    localStorage.setItem('bulkConfirmThreshold', String(threshold));
+  }, []);
+
+  // Store an edited workflow; a status tool for a removed stage falls back to cycle
+  const saveWorkflow = useCallback((stages) => {
+    setWorkflow(stages);
+    saveProject(activeProjectId, { workflow: stages });
+    if (!['clear', 'cycle'].includes(statusTool) && !stages.some(stage => stage.id === statusTool)) {
+      setStatusTool('cycle');
+    }
+  }, [activeProjectId, statusTool]);
+
+  // Panels touched by a selection box
+  const panelsInRect = useCallback((selStart, selEnd) => {
+    // Only panels whose bbox overlaps the selection need the exact test
+    const candidates = panelIndex.query({
+      minX: Math.min(selStart.x, selEnd.x),
+      maxX: Math.max(selStart.x, selEnd.x),
+      minY: Math.min(selStart.y, selEnd.y),
+      maxY: Math.max(selStart.y, selEnd.y)
+    });
+    return candidates.filter(geometry => isPanelInSelection(geometry, selStart, selEnd));
+  }, [panelIndex, isPanelInSelection]);
+
+  const panelsInPolygon = useCallback((polygon) => {
+    if (polygon.length < 3) return [];
+    
+    const xs = polygon.map(p => p.x);
+    const ys = polygon.map(p => p.y);
+    const candidates = panelIndex.query({
+      minX: Math.min(...xs),
+      maxX: Math.max(...xs),
+      minY: Math.min(...ys),
+      maxY: Math.max(...ys)
+    });
+    return candidates.filter(geometry => isPanelInPolygon(geometry, polygon));
+  }, [panelIndex, isPanelInPolygon]);
 
-  // Apply selection to panels
-  // Left-click: NONE → MC4 → TERMINATED (no going back to NONE)
-  // Right-click: Unselect (set to NONE)
   const applySelection = useCallback((selStart, selEnd, unselect = false) => {
     if (!panelsData || !selStart || !selEnd) return;
     
@@ -682,98 +1075,156 @@ export default function App() {
     const dy = Math.abs(selEnd.y - selStart.y);
     if (dx < 0.05 && dy < 0.05) return;
     
-    let anySelected = false;
+    requestStatusChange(panelsInRect(selStart, selEnd), unselect);
+  }, [panelsData, panelsInRect, requestStatusChange]);
+
+  const applyPolygonSelection = useCallback((polygon, unselect = false) => {
+    if (!panelsData) return;
+    requestStatusChange(panelsInPolygon(polygon), unselect);
+  }, [panelsData, panelsInPolygon, requestStatusChange]);
+
+  // Ends / panels the selection being drawn would change, for the live preview
+  const selectionPreview = useMemo(() => {
+    let geometries;
+    let unselect;
+    if (isSelecting && selectionStart && selectionEnd) {
+      const dx = Math.abs(selectionEnd.x - selectionStart.x);
+      const dy = Math.abs(selectionEnd.y - selectionStart.y);
+      if (dx < 0.05 && dy < 0.05) return null;
+      geometries = panelsInRect(selectionStart, selectionEnd);
+      unselect = isUnselectMode;
+    } else if (selectionPath) {
+      geometries = panelsInPolygon(selectionCursor ? [...selectionPath.points, selectionCursor] : selectionPath.points);
+      unselect = selectionPath.unselect;
+    } else {
+      return null;
+    }
+    const tool = unselect ? 'clear' : statusTool;
+    return { tool, changes: planChanges(geometries, tool, panelStates, workflow) };
+  }, [isSelecting, selectionStart, selectionEnd, isUnselectMode, selectionPath, selectionCursor, statusTool, panelStates, workflow, panelsInRect, panelsInPolygon]);
+
+  // Panel under a canvas point, found from geometry so it also works on the merged block layer
+  const panelAt = useCallback((point) => {
+    const candidates = panelIndex.query({ minX: point.x, maxX: point.x, minY: point.y, maxY: point.y });
+    return candidates.find(geometry => isPointInPolygon(point, geometry.points)) || null;
+  }, [panelIndex, isPointInPolygon]);
+
+  // Panels a "whole string" / "whole row" click applies to
+  const panelGroupAt = useCallback((point, tool) => {
+    const geometry = panelAt(point);
+    if (!geometry) return [];
+    if (tool === 'row') {
+      return findRowPanels(geometry, panelIndex, ROW_MAX_GAP_M / projection.metersPerUnit);
+    }
+    if (!geometry.label) return [geometry];
+    return panelGeometry.list.filter(g => g.label === geometry.label);
+  }, [panelAt, panelIndex, panelGeometry, projection]);
+
+  // Overlay area under a canvas point: the sub-area ring containing it, or the
+  // inverter box of the panel (or box rectangle) clicked
+  const areaAt = useCallback((point) => {
+    const inside = (b) => point.x >= b.minX && point.x <= b.maxX && point.y >= b.minY && point.y <= b.maxY;
+    if (overlayMode === 'areas') {
+      return overlayAreas.find(area => area.rings.some(ring => inside(ring.bbox) && isPointInPolygon(point, ring.points))) || null;
+    }
+    const geometry = panelAt(point);
+    if (geometry) return areaOfPanel.get(geometry.panelId) || null;
+    return overlayAreas.find(area => inside(area.rect)) || null;
+  }, [overlayMode, overlayAreas, areaOfPanel, panelAt, isPointInPolygon]);
+
+  // Click on a single panel: apply the status tool to the end nearest to the click point,
+  // or to the whole panel for a per-panel stage
+  const clickPanelEnd = useCallback((panelId, point) => {
+    const ends = panelGeometry.byId.get(panelId);
+    if (!ends) return;
+    
+    let side;
+    if (getStage(workflow, statusTool)?.scope === 'panel') {
+      side = 'panel';
+    } else {
+      const distLeft = Math.hypot(point.x - ends.left.x, point.y - ends.left.y);
+      const distRight = Math.hypot(point.x - ends.right.x, point.y - ends.right.y);
+      side = distLeft < distRight ? 'left' : 'right';
+    }
     
     setPanelStates(prev => {
-      const newStates = { ...prev };
+      const currentState = prev[panelId]?.[side] || null;
+      // Cycle steps none → ... → last end stage and stays there; only Clear removes progress
+      const newState = nextState(workflow, side, currentState, statusTool);
+      if (newState === currentState) return prev;
       
-      panelsData.features.forEach((_, index) => {
-        if (isPanelInSelection(index, selStart, selEnd)) {
-          anySelected = true;
-          
-          const currentLeft = prev[index]?.left || PANEL_STATES.NONE;
-          const currentRight = prev[index]?.right || PANEL_STATES.NONE;
-          
-          let newLeft, newRight;
-          
-          if (unselect) {
-            // Right-click: Clear selection (set to NONE)
-            newLeft = PANEL_STATES.NONE;
-            newRight = PANEL_STATES.NONE;
-          } else {
-            // Left-click: NONE → MC4 → TERMINATED (cycle forward only)
-            if (currentLeft === PANEL_STATES.NONE) {
-              newLeft = PANEL_STATES.MC4_INSTALLED;
-            } else if (currentLeft === PANEL_STATES.MC4_INSTALLED) {
-              newLeft = PANEL_STATES.TERMINATED;
-            } else {
-              // Already TERMINATED, stay at TERMINATED
-              newLeft = PANEL_STATES.TERMINATED;
-            }
-            
-            if (currentRight === PANEL_STATES.NONE) {
-              newRight = PANEL_STATES.MC4_INSTALLED;
-            } else if (currentRight === PANEL_STATES.MC4_INSTALLED) {
-              newRight = PANEL_STATES.TERMINATED;
-            } else {
-              // Already TERMINATED, stay at TERMINATED
-              newRight = PANEL_STATES.TERMINATED;
-            }
-          }
-          
-          newStates[index] = { left: newLeft, right: newRight };
-        }
-      });
+      const newStates = {
+        ...prev,
+        [panelId]: { ...prev[panelId], [side]: newState }
+      };
       
-      if (anySelected) {
-        const newHistory = history.slice(0, historyIndex + 1);
-        newHistory.push(newStates);
-        setHistory(newHistory);
-        setHistoryIndex(newHistory.length - 1);
-      }
+      pushHistory({ panelStates: newStates });
       
       return newStates;
     });
-  }, [panelsData, isPanelInSelection, history, historyIndex]);
+  }, [panelGeometry, workflow, statusTool, pushHistory]);
 
-  // Updated Panel Click Handler
-  const handlePanelClick = useCallback((e, index, side) => {
-    if (isAddingNote) return;
-    
-    setPanelStates(prev => {
-      if (side) {
-        const currentState = prev[index]?.[side] || PANEL_STATES.NONE;
-        let newState;
-        
-        if (e.detail >= 2) {
-          newState = PANEL_STATES.TERMINATED;
-        } else {
-          if (currentState === PANEL_STATES.NONE) newState = PANEL_STATES.MC4_INSTALLED;
-          else if (currentState === PANEL_STATES.MC4_INSTALLED) newState = PANEL_STATES.TERMINATED;
-          else newState = PANEL_STATES.NONE;
-        }
+  // Apply the click-placed polygon and end it
+  const closeSelectionPolygon = useCallback(() => {
+    if (selectionPath && selectionPath.points.length >= 3) {
+      applyPolygonSelection(selectionPath.points, selectionPath.unselect);
+    }
+    setSelectionPath(null);
+    setSelectionCursor(null);
+  }, [selectionPath, applyPolygonSelection]);
 
-        const newStates = {
-          ...prev,
-          [index]: { ...prev[index], [side]: newState }
-        };
-        
-        const currentHist = historyRef.current;
-        const curIdx = historyIndexRef.current;
-        const newHistory = currentHist.slice(0, curIdx + 1);
-        newHistory.push(newStates);
-        
-        setHistory(newHistory);
-        setHistoryIndex(newHistory.length - 1);
-        
-        return newStates;
-      }
-      return prev;
-    });
-  }, [isAddingNote]);
+  const changeSelectionTool = useCallback((tool) => {
+    setSelectionTool(tool);
+    setSelectionPath(null);
+    setSelectionCursor(null);
+  }, []);
 
   // Pan and selection handlers
   const handleMouseDown = useCallback((e) => {
+    // Completion overlay: a click shows the breakdown of the area under it; works during playback too
+    if (overlayMode && e.button !== 1) {
+      if (e.button === 0) {
+        const coords = getSvgCoordsFromEvent(e);
+        const area = coords && areaAt(coords);
+        setSelectedAreaId(area?.id || null);
+        if (area) {
+          setIsTreeOpen(false);
+          setIsPunchListOpen(false);
+          setIsNotesPanelOpen(false);
+        }
+      } else if (e.button === 2) {
+        e.preventDefault();
+      }
+      return;
+    }
+    // Playback and snapshots show the past read-only; only panning (middle button) stays available
+    if (isReadOnly && e.button !== 1) {
+      if (e.button === 2) e.preventDefault();
+      return;
+    }
+    if (isMeasuring && e.button !== 1) {
+      // Ruler: left-click adds a point, right-click clears; middle button still pans
+      if (e.button === 0) {
+        const coords = getSvgCoordsFromEvent(e);
+        if (coords) setMeasurePoints(prev => [...prev, coords]);
+      } else if (e.button === 2) {
+        e.preventDefault();
+        setMeasurePoints([]);
+        setMeasureCursor(null);
+      }
+      return;
+    }
+    if (isPunchMode && e.button !== 1) {
+      // Punch mode: a click on a panel logs a defect there
+      if (e.button === 0) {
+        const coords = getSvgCoordsFromEvent(e);
+        const geometry = coords && panelAt(coords);
+        if (geometry) setEditingPunch({ item: createPunchItem(geometry.panelId, punchSideAt(geometry, coords)), isNew: true });
+      } else if (e.button === 2) {
+        e.preventDefault();
+      }
+      return;
+    }
     if (isAddingNote) {
       // Note mode
       if (e.button === 0) {
@@ -802,12 +1253,29 @@ export default function App() {
         // Allow selection on any SVG element (background, panels, etc.)
         if (e.target.closest('svg')) {
           const coords = getSvgCoordsFromEvent(e);
-          if (coords) {
+          const unselect = e.button === 2;
+          if (coords && selectionTool !== 'rect') {
+            if (unselect) e.preventDefault();
+            if (selectionTool === 'lasso') {
+              setSelectionPath({ points: [coords], unselect });
+            } else if (selectionTool === 'polygon') {
+              // The first click decides select/unselect; clicking the first corner closes
+              const first = selectionPath?.points[0];
+              if (!first) {
+                setSelectionPath({ points: [coords], unselect });
+              } else if (selectionPath.points.length >= 3 && Math.hypot(coords.x - first.x, coords.y - first.y) < viewBox.width / 100) {
+                closeSelectionPolygon();
+              } else {
+                setSelectionPath({ ...selectionPath, points: [...selectionPath.points, coords] });
+              }
+            } else {
+              requestStatusChange(panelGroupAt(coords, selectionTool), unselect);
+            }
+          } else if (coords) {
             setIsSelecting(true);
             setSelectionStart(coords);
             setSelectionEnd(coords);
             setIsUnselectMode(e.button === 2); // Right-click = unselect mode
-            setClickedElement(e.target); // Track clicked element
             if (e.button === 2) {
               e.preventDefault(); // Prevent context menu
             }
@@ -820,14 +1288,30 @@ export default function App() {
         e.preventDefault();
       }
     }
-  }, [isAddingNote, viewBox, fromSvgCoords, getSvgCoordsFromEvent]);
+  }, [overlayMode, areaAt, isReadOnly, isAddingNote, isPunchMode, isMeasuring, viewBox, getSvgCoordsFromEvent, selectionTool, selectionPath, closeSelectionPolygon, requestStatusChange, panelGroupAt, panelAt]);
 
   const handleMouseMove = useCallback((e) => {
+    if (isMeasuring && measurePoints.length > 0 && !isPanning) {
+      const coords = getSvgCoordsFromEvent(e);
+      if (coords) setMeasureCursor(coords);
+    }
     if (isNoteSelecting) {
       const coords = getSvgCoordsFromEvent(e);
       if (coords) {
         setNoteSelectionEnd(coords);
       }
+    } else if (selectionPath) {
+      const coords = getSvgCoordsFromEvent(e);
+      if (!coords) return;
+      if (selectionTool === 'polygon') {
+        setSelectionCursor(coords);
+      } else {
+        // Lasso: skip points closer than ~2 screen pixels to keep the outline light
+        const last = selectionPath.points[selectionPath.points.length - 1];
+        if (Math.hypot(coords.x - last.x, coords.y - last.y) > viewBox.width / 500) {
+          setSelectionPath(prev => ({ ...prev, points: [...prev.points, coords] }));
+        }
+      }
     } else if (isSelecting) {
       const coords = getSvgCoordsFromEvent(e);
       if (coords) {
@@ -849,9 +1333,9 @@ export default function App() {
       
       setPanStart({ x: e.clientX, y: e.clientY });
     }
-  }, [isNoteSelecting, isSelecting, isPanning, panStart, viewBox, getSvgCoordsFromEvent]);
+  }, [isNoteSelecting, isSelecting, isPanning, isMeasuring, measurePoints.length, selectionPath, selectionTool, panStart, viewBox, getSvgCoordsFromEvent]);
 
-  const handleMouseUp = useCallback((e) => {
+  const handleMouseUp = useCallback(() => {
     if (isNoteSelecting && noteSelectionStart && noteSelectionEnd) {
       // Check if it was a click (not a drag) - add a note
       const dx = Math.abs(noteSelectionEnd.x - noteSelectionStart.x);
@@ -859,27 +1343,23 @@ export default function App() {
       const isClick = dx < 0.05 && dy < 0.05;
       
       if (isClick) {
-        // Check if there's already a note at this position (within a small radius)
-        const clickRadius = 5; // pixels
-        const existingNote = notes.find(note => {
-          const distance = Math.hypot(note.svgX - noteSelectionStart.x, note.svgY - noteSelectionStart.y);
+        // Check if there's already a note at this position (within its marker)
+        const clickRadius = noteMarkerRadius(viewBox.width);
+        const existingNote = placedNotes.find(({ x, y }) => {
+          const distance = Math.hypot(x - noteSelectionStart.x, y - noteSelectionStart.y);
           return distance < clickRadius;
-        });
+        })?.note;
         
         if (existingNote) {
           // There's already a note here, open the editor instead of adding a new one
           setEditingNote(existingNote);
         } else {
-          // No existing note, add a new one at the exact click position
-          // Store SVG coordinates directly for reliable positioning
-          const newNote = {
-            id: Date.now(),
-            svgX: noteSelectionStart.x,  // SVG/canvas coordinate
-            svgY: noteSelectionStart.y,  // SVG/canvas coordinate
-            text: ''
-          };
+          // No existing note, add a new one at the exact click position,
+          // anchored in lng/lat so it stays put if the canvas changes
+          const { lng, lat } = fromSvgCoords(noteSelectionStart.x, noteSelectionStart.y);
+          const newNote = createNote(lng, lat, userName);
           
-          setNotes(prev => [...prev, newNote]);
+          changeNotes(prev => [...prev, newNote]);
           
           // Reset selection state after click
           setIsNoteSelecting(false);
@@ -894,9 +1374,9 @@ export default function App() {
         const maxY = Math.max(noteSelectionStart.y, noteSelectionEnd.y);
         
         const selectedIds = new Set();
-        notes.forEach(note => {
-          if (note.svgX >= minX && note.svgX <= maxX && 
-              note.svgY >= minY && note.svgY <= maxY) {
+        placedNotes.forEach(({ note, x, y }) => {
+          if (x >= minX && x <= maxX && 
+              y >= minY && y <= maxY) {
             selectedIds.add(note.id);
           }
         });
@@ -908,55 +1388,25 @@ export default function App() {
       const dy = Math.abs(selectionEnd.y - selectionStart.y);
       const isClick = dx < 0.05 && dy < 0.05;
       
-      if (isClick && clickedElement && clickedElement.dataset.panelIndex) {
+      // Resolved from geometry: zoomed out, panels are drawn by the non-interactive block layer
+      const geometry = isClick ? panelAt(selectionStart) : null;
+      if (geometry) {
         // It was a click on a panel, trigger panel click logic
-        const panelIndex = parseInt(clickedElement.dataset.panelIndex);
-        
-        // Get panel ends to determine which side was clicked
-        const ends = getPanelEnds(panelIndex);
-        if (ends) {
-          // Use the click coordinates to determine side
-          const svg = svgRef.current;
-          if (svg) {
-            let point = svg.createSVGPoint();
-            point.x = selectionStart.x; // Use selection start as click position
-            point.y = selectionStart.y;
-            
-            const distLeft = Math.hypot(point.x - ends.left.x, point.y - ends.left.y);
-            const distRight = Math.hypot(point.x - ends.right.x, point.y - ends.right.y);
-            const side = distLeft < distRight ? 'left' : 'right';
-            
-            // Apply panel click logic
-            setPanelStates(prev => {
-              const currentState = prev[panelIndex]?.[side] || PANEL_STATES.NONE;
-              let newState;
-              
-              // Simple click cycle: NONE → MC4 → TERMINATED → NONE
-              if (currentState === PANEL_STATES.NONE) newState = PANEL_STATES.MC4_INSTALLED;
-              else if (currentState === PANEL_STATES.MC4_INSTALLED) newState = PANEL_STATES.TERMINATED;
-              else newState = PANEL_STATES.NONE;
-              
-              const newStates = {
-                ...prev,
-                [panelIndex]: { ...prev[panelIndex], [side]: newState }
-              };
-              
-              const currentHist = historyRef.current;
-              const curIdx = historyIndexRef.current;
-              const newHistory = currentHist.slice(0, curIdx + 1);
-              newHistory.push(newStates);
-              
-              setHistory(newHistory);
-              setHistoryIndex(newHistory.length - 1);
-              
-              return newStates;
-            });
-          }
-        }
+        clickPanelEnd(geometry.panelId, selectionStart);
       } else {
         // Apply selection
         applySelection(selectionStart, selectionEnd, isUnselectMode);
       }
+    } else if (selectionPath && selectionTool === 'lasso') {
+      const { points, unselect } = selectionPath;
+      if (points.length >= 3) {
+        applyPolygonSelection(points, unselect);
+      } else if (!unselect) {
+        // No drag: behave like a click on the panel
+        const geometry = panelAt(points[0]);
+        if (geometry) clickPanelEnd(geometry.panelId, points[0]);
+      }
+      setSelectionPath(null);
     }
     setIsNoteSelecting(false);
     setIsSelecting(false);
@@ -964,37 +1414,134 @@ export default function App() {
     setSelectionStart(null);
     setSelectionEnd(null);
     setIsUnselectMode(false);
-    setClickedElement(null);
     setIsPanning(false);
-  }, [isNoteSelecting, noteSelectionStart, noteSelectionEnd, isSelecting, selectionStart, selectionEnd, applySelection, isUnselectMode, clickedElement, getPanelEnds, notes, toSvgCoords, viewBox, fromSvgCoords, setSelectedNotes]);
+  }, [isNoteSelecting, noteSelectionStart, noteSelectionEnd, isSelecting, selectionStart, selectionEnd, applySelection, isUnselectMode, placedNotes, viewBox.width, fromSvgCoords, userName, changeNotes, setSelectedNotes, clickPanelEnd, selectionTool, selectionPath, applyPolygonSelection, panelAt]);
 
-  // Update note
-  const updateNote = useCallback((id, text) => {
-    setNotes(prev => prev.map(n => n.id === id ? { ...n, text } : n));
-  }, []);
+  // Update note: { text, photoIds }
+  const updateNote = useCallback((id, fields) => {
+    changeNotes(prev => prev.map(n => n.id === id ? { ...n, ...fields, updatedAt: Date.now() } : n));
+  }, [changeNotes]);
 
   // Delete note
   const deleteNote = useCallback((id) => {
-    setNotes(prev => prev.filter(n => n.id !== id));
+    changeNotes(prev => prev.filter(n => n.id !== id));
+  }, [changeNotes]);
+
+  const deleteNotes = useCallback((ids) => {
+    changeNotes(prev => prev.filter(note => !ids.has(note.id)));
+    setSelectedNotes(new Set());
+  }, [changeNotes]);
+
+  const setNotesResolved = useCallback((ids, resolved) => {
+    const now = Date.now();
+    changeNotes(prev => {
+      if (!prev.some(note => ids.has(note.id) && Boolean(note.resolved) !== resolved)) return prev;
+      return prev.map(note => ids.has(note.id) && Boolean(note.resolved) !== resolved
+        ? { ...note, resolved, updatedAt: now }
+        : note);
+    });
+  }, [changeNotes]);
+
+  // Store picked / captured images as photos of this site and return their ids
+  const addPhotos = useCallback(async (files) => {
+    const created = [];
+    for (const file of files) {
+      created.push(await createPhoto(file, activeProjectId));
+    }
+    await savePhotos(created);
+    setPhotos(prev => new Map([...prev, ...created.map(photo => [photo.id, photo])]));
+    return created.map(photo => photo.id);
+  }, [activeProjectId]);
+
+  // Add a new punch item or store edits to an existing one
+  const savePunchItem = useCallback((item, fields) => {
+    setPunchItems(prev => prev.some(p => p.id === item.id)
+      ? prev.map(p => p.id === item.id ? updatePunchItem(p, fields) : p)
+      : [...prev, updatePunchItem(item, fields, item.createdAt)]);
+  }, []);
+
+  const deletePunchItem = useCallback((id) => {
+    setPunchItems(prev => prev.filter(p => p.id !== id));
   }, []);
 
-  // Note: Notes now use SVG coordinates directly, no position recalculation needed
+  const togglePunchStatus = useCallback((item) => {
+    savePunchItem(item, { status: item.status === 'open' ? 'closed' : 'open' });
+  }, [savePunchItem]);
+
+  const labelOfPanel = useCallback(
+    (panelId) => panelGeometry.byId.get(panelId)?.label || '',
+    [panelGeometry]
+  );
+
+  // Daily log export, with notes and defects (and their photos) on a separate sheet
+  const exportReport = useCallback(() => {
+    const formatLngLat = ({ lng, lat }) => `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+    const records = dailyLog.map(record => {
+      const sub = subcontractorOf(record, subcontractors);
+      return sub ? { ...record, subcontractor: sub.name, subcontractor_code: sub.code } : record;
+    });
+    exportToExcel(records, workflow, {
+      notes: placedNotes.map(({ note }) => ({ ...note, location: formatLngLat(note) })),
+      punchItems: punchItems.map(item => ({
+        ...item,
+        location: `${labelOfPanel(item.panelId) || item.panelId} · ${SIDE_LABELS[item.side]}`,
+        categoryLabel: categoryLabel(item.category),
+        severityLabel: severityLabel(item.severity)
+      })),
+      photos
+    });
+  }, [exportToExcel, dailyLog, subcontractors, workflow, placedNotes, punchItems, photos, labelOfPanel]);
+
+  // Notes as a GeoJSON point layer, e.g. for QGIS
+  const exportNotesGeoJSON = useCallback(() => {
+    const anchored = placedNotes.map(({ note }) => note);
+    const blob = new Blob([JSON.stringify(notesToGeoJSON(anchored), null, 2)], { type: 'application/geo+json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `notes-${activeProjectId}-${new Date().toISOString().split('T')[0]}.geojson`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [placedNotes, activeProjectId]);
+
+  const importNotesGeoJSON = useCallback(async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { notes: imported, skipped } = notesFromGeoJSON(JSON.parse(await file.text()), new Set(notes.map(n => n.id)));
+      changeNotes(prev => [...prev, ...imported]);
+      alert(`Imported ${imported.length} notes${skipped > 0 ? `, skipped ${skipped} (not points, or already present)` : ''}.`);
+    } catch (err) {
+      alert(`Could not import notes: ${err.message}`);
+    }
+  }, [notes, changeNotes]);
+
+  // Assignee suggestions: active registry entries and earlier punch items
+  const knownSubcontractors = useMemo(() => [...new Set([
+    ...listedSubcontractors(subcontractors).filter(sub => sub.active).map(sub => sub.name),
+    ...punchItems.map(item => item.assignee)
+  ].filter(Boolean))].sort(), [subcontractors, punchItems]);
 
   // Undo
   const undo = useCallback(() => {
-    if (historyIndex > 0) {
+    if (historyIndex > 0 && !isReadOnly) {
+      historyStepStatesRef.current = history[historyIndex - 1].panelStates;
       setHistoryIndex(historyIndex - 1);
-      setPanelStates(history[historyIndex - 1]);
+      setPanelStates(history[historyIndex - 1].panelStates);
+      setNotes(history[historyIndex - 1].notes);
     }
-  }, [history, historyIndex]);
+  }, [history, historyIndex, isReadOnly]);
 
   // Redo
   const redo = useCallback(() => {
-    if (historyIndex < history.length - 1) {
+    if (historyIndex < history.length - 1 && !isReadOnly) {
+      historyStepStatesRef.current = history[historyIndex + 1].panelStates;
       setHistoryIndex(historyIndex + 1);
-      setPanelStates(history[historyIndex + 1]);
+      setPanelStates(history[historyIndex + 1].panelStates);
+      setNotes(history[historyIndex + 1].notes);
     }
-  }, [history, historyIndex]);
+  }, [history, historyIndex, isReadOnly]);
 
   // Zoom function
   const zoom = useCallback((zoomIn, centerX = null, centerY = null) => {
@@ -1020,9 +1567,88 @@ export default function App() {
     });
   }, []);
 
+  // Zoom the viewBox to fit a canvas-space box, keeping the screen aspect ratio
+  const fitToBounds = useCallback(({ minX, maxX, minY, maxY }) => {
+    const svg = svgRef.current;
+    if (!svg) return;
+    
+    const rect = svg.getBoundingClientRect();
+    const aspect = rect.width / rect.height;
+    const minSize = 20; // don't zoom closer than ~a few panels
+    let width = Math.max((maxX - minX) * 1.3, minSize);
+    let height = Math.max((maxY - minY) * 1.3, minSize / aspect);
+    if (width / height > aspect) height = width / aspect;
+    else width = height * aspect;
+    
+    setViewBox({
+      x: (minX + maxX) / 2 - width / 2,
+      y: (minY + maxY) / 2 - height / 2,
+      width,
+      height
+    });
+  }, []);
+
+  // Zoom the viewBox to fit the given panels
+  const fitToPanels = useCallback((panelIds) => {
+    if (panelIds.length === 0) return;
+    
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    panelIds.forEach(id => {
+      const geometry = panelGeometry.byId.get(id);
+      if (!geometry) return;
+      minX = Math.min(minX, geometry.bbox.minX);
+      maxX = Math.max(maxX, geometry.bbox.maxX);
+      minY = Math.min(minY, geometry.bbox.minY);
+      maxY = Math.max(maxY, geometry.bbox.maxY);
+    });
+    if (minX === Infinity) return;
+    fitToBounds({ minX, maxX, minY, maxY });
+  }, [panelGeometry, fitToBounds]);
+
+  // Highlight search/hierarchy targets; focus one of them, or all when active is -1
+  const focusTargets = useCallback((targets, active = -1) => {
+    setSearchResults(targets);
+    setActiveResult(active);
+    const focused = active >= 0 ? [targets[active]] : targets;
+    fitToPanels(focused.flatMap(t => t.panelIds));
+  }, [fitToPanels]);
+
+  const stepSearchResult = useCallback((delta) => {
+    if (searchResults.length === 0) return;
+    const n = searchResults.length;
+    const next = activeResult < 0
+      ? (delta > 0 ? 0 : n - 1)
+      : (activeResult + delta + n) % n;
+    setActiveResult(next);
+    fitToPanels(searchResults[next].panelIds);
+  }, [searchResults, activeResult, fitToPanels]);
+
+  const clearSearch = useCallback(() => {
+    setSearchResults([]);
+    setActiveResult(-1);
+  }, []);
+
+  // Punch list entry: show its panel and highlight the marker
+  const focusPunchItem = useCallback((item) => {
+    setSelectedPunchId(item.id);
+    fitToPanels([item.panelId]);
+  }, [fitToPanels]);
+
+  // Notes panel entry: zoom to the note and select it
+  const zoomToNote = useCallback(({ note, x, y }) => {
+    setSelectedNotes(new Set([note.id]));
+    fitToBounds({ minX: x, maxX: x, minY: y, maxY: y });
+  }, [fitToBounds]);
+
   // Keyboard shortcuts
   useEffect(() => {
     const handleKeyDown = (e) => {
+      // Status tool shortcuts, unless typing (e.g. in a note)
+      const isTyping = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+      const statusShortcut = statusTools.find(t => t.shortcut && t.shortcut.toLowerCase() === e.key.toLowerCase());
+      if (statusShortcut && !isTyping && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        setStatusTool(statusShortcut.id);
+      }
       if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
         e.preventDefault();
         if (e.shiftKey) redo();
@@ -1044,19 +1670,29 @@ export default function App() {
       if (e.key === 'Delete' && isAddingNote) {
         if (selectedNotes.size > 0) {
           // Delete selected notes
-          setNotes(prev => prev.filter(note => !selectedNotes.has(note.id)));
-          setSelectedNotes(new Set());
+          deleteNotes(selectedNotes);
         }
         // Reset selection box after deletion
         setIsNoteSelecting(false);
         setNoteSelectionStart(null);
         setNoteSelectionEnd(null);
       }
+      if (e.key === 'Escape' && isMeasuring) {
+        setMeasurePoints([]);
+        setMeasureCursor(null);
+      }
+      if (e.key === 'Escape' && selectionPath) {
+        setSelectionPath(null);
+        setSelectionCursor(null);
+      }
+      if (e.key === 'Enter' && selectionPath && selectionTool === 'polygon') {
+        closeSelectionPolygon();
+      }
     };
     
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [undo, redo, zoom, isAddingNote, selectedNotes]);
+  }, [undo, redo, zoom, statusTools, isAddingNote, isMeasuring, selectedNotes, deleteNotes, selectionPath, selectionTool, closeSelectionPolygon]);
 
   // Native wheel listener
   useEffect(() => {
@@ -1090,6 +1726,8 @@ export default function App() {
     return () => svg.removeEventListener('wheel', wheelHandler);
   }, [panelsData]);
 
+  const activeSelectionTool = SELECTION_TOOLS.find(t => t.id === selectionTool);
+
   if (!panelsData || !lineData) {
     return <div className="loading">Loading...</div>;
   }
@@ -1097,9 +1735,104 @@ export default function App() {
   return (
     <div className="app">
       <div className="top-panel">
-        <ProgressStats mc4={mc4} termination={termination} dailyLog={dailyLog} />
+        <ProjectSwitcher
+          sites={sites}
+          activeProjectId={activeProjectId}
+          onSwitch={switchProject}
+          onImport={() => setIsImportOpen(true)}
+          onDelete={handleDeleteProject}
+        />
+        
+        <ProgressStats workflow={workflow} stageTotals={stageTotals} />
+        
+        <SearchBox
+          index={searchIndex}
+          results={searchResults}
+          activeResult={activeResult}
+          onSearch={focusTargets}
+          onStep={stepSearchResult}
+          onClear={clearSearch}
+        />
         
         <div className="toolbar">
+          <button 
+            className={`tool-btn ${isTreeOpen ? 'active' : ''}`}
+            onClick={() => {
+              setIsTreeOpen(!isTreeOpen);
+              setIsPunchListOpen(false);
+              setIsNotesPanelOpen(false);
+              setSelectedAreaId(null);
+            }}
+            title="Electrical Hierarchy Progress"
+          >
+            🌳
+          </button>
+          <button 
+            className={`tool-btn ${isPunchListOpen ? 'active' : ''}`}
+            onClick={() => {
+              setIsPunchListOpen(!isPunchListOpen);
+              setIsTreeOpen(false);
+              setIsNotesPanelOpen(false);
+              setSelectedAreaId(null);
+            }}
+            title="Punch List"
+          >
+            📌
+          </button>
+          <button 
+            className={`tool-btn ${isNotesPanelOpen ? 'active' : ''}`}
+            onClick={() => {
+              setIsNotesPanelOpen(!isNotesPanelOpen);
+              setIsTreeOpen(false);
+              setIsPunchListOpen(false);
+              setSelectedAreaId(null);
+            }}
+            title="Notes"
+          >
+            🗂️
+          </button>
+          <button 
+            className={`tool-btn ${isBasemapMode ? 'active' : ''}`}
+            onClick={() => {
+              setIsBasemapMode(!isBasemapMode);
+              setIsAddingNote(false);
+              setIsPunchMode(false);
+              setIsMeasuring(false);
+              setMeasurePoints([]);
+              setMeasureCursor(null);
+            }}
+            title="Basemap / Orthophoto View"
+          >
+            🗺️
+          </button>
+          <button 
+            className={`tool-btn ${playbackAt !== null ? 'active' : ''}`}
+            onClick={() => {
+              setPlaybackAt(playbackAt === null ? Date.now() : null);
+              setViewedSnapshot(null);
+              setIsAddingNote(false);
+              setIsPunchMode(false);
+              setIsMeasuring(false);
+              setSelectionPath(null);
+            }}
+            title="Progress Playback"
+          >
+            ⏱️
+          </button>
+          <button 
+            className={`tool-btn ${overlayMode ? 'active' : ''}`}
+            onClick={() => {
+              setOverlayMode(overlayMode ? null : 'areas');
+              setSelectedAreaId(null);
+              setIsAddingNote(false);
+              setIsPunchMode(false);
+              setIsMeasuring(false);
+              setSelectionPath(null);
+            }}
+            title="Completion Overlay by Sub-area / Inverter Box"
+          >
+            🔥
+          </button>
           <button 
             className="tool-btn"
             onClick={() => setIsSubmitModalOpen(true)}
@@ -1111,23 +1844,58 @@ export default function App() {
             className="tool-btn"
             onClick={() => setIsHistoryOpen(true)}
             title="View Submission History"
-            disabled={dailyLog.length === 0}
+            disabled={logRecords.length === 0}
           >
             🗒️
           </button>
           <button 
             className="tool-btn"
-            onClick={() => exportToExcel(dailyLog)}
-            disabled={dailyLog.length === 0}
+            onClick={() => setIsSubcontractorsOpen(true)}
+            title="Subcontractors"
+          >
+            🏢
+          </button>
+          <button 
+            className="tool-btn"
+            onClick={exportReport}
+            disabled={dailyLog.length === 0 && placedNotes.length === 0 && punchItems.length === 0}
             title="Export to Excel"
           >
             📊
           </button>
           <div className="toolbar-divider"></div>
+          <StatusTools tools={statusTools} tool={statusTool} onChange={setStatusTool} />
+          <button 
+            className="tool-btn"
+            onClick={() => setIsWorkflowOpen(true)}
+            title="Configure Workflow Stages"
+          >
+            ⚙️
+          </button>
+          <div className="toolbar-divider"></div>
+          <CrewSelector
+            crew={activeCrew}
+            user={userName}
+            crews={[...new Set([...knownCrews, ...knownSubcontractors])]}
+            onCrewChange={(crew) => {
+              setActiveCrew(crew);
+              localStorage.setItem('activeCrew', crew);
+            }}
+            onUserChange={(name) => {
+              setUserName(name);
+              localStorage.setItem('userName', name);
+            }}
+            onOpenReport={() => setIsCrewReportOpen(true)}
+          />
+          <div className="toolbar-divider"></div>
+          <SelectionTools tool={selectionTool} onChange={changeSelectionTool} />
+          <div className="toolbar-divider"></div>
           <button 
             className={`tool-btn ${isAddingNote ? 'active' : ''}`}
             onClick={() => {
               setIsAddingNote(!isAddingNote);
+              setIsMeasuring(false);
+              setIsPunchMode(false);
               setSelectedNotes(new Set());
               setIsNoteSelecting(false);
               setNoteSelectionStart(null);
@@ -1137,13 +1905,56 @@ export default function App() {
           >
             📝
           </button>
+          <button 
+            className={`tool-btn ${isPunchMode ? 'active' : ''}`}
+            onClick={() => {
+              setIsPunchMode(!isPunchMode);
+              setIsAddingNote(false);
+              setIsMeasuring(false);
+              setSelectedNotes(new Set());
+              setIsNoteSelecting(false);
+              setMeasurePoints([]);
+              setMeasureCursor(null);
+            }}
+            title="Punch Mode: log a defect on a panel"
+          >
+            🔧
+          </button>
+          <button 
+            className={`tool-btn ${isMeasuring ? 'active' : ''}`}
+            onClick={() => {
+              setIsMeasuring(!isMeasuring);
+              setIsAddingNote(false);
+              setIsPunchMode(false);
+              setSelectedNotes(new Set());
+              setIsNoteSelecting(false);
+              setMeasurePoints([]);
+              setMeasureCursor(null);
+            }}
+            title="Measure Distance (m)"
+          >
+            📏
+          </button>
+          {isAddingNote && (
+            <>
+              <button 
+                className="tool-btn"
+                onClick={exportNotesGeoJSON}
+                disabled={notes.length === 0}
+                title="Export Notes as GeoJSON"
+              >
+                📤
+              </button>
+              <label className="tool-btn" title="Import Notes from GeoJSON">
+                📥
+                <input type="file" accept=".geojson,.json" onChange={importNotesGeoJSON} hidden />
+              </label>
+            </>
+          )}
           {isAddingNote && selectedNotes.size > 0 && (
             <button 
               className="tool-btn"
-              onClick={() => {
-                setNotes(prev => prev.filter(note => !selectedNotes.has(note.id)));
-                setSelectedNotes(new Set());
-              }}
+              onClick={() => deleteNotes(selectedNotes)}
               title="Delete Selected Notes"
             >
               🗑️
@@ -1174,19 +1985,191 @@ export default function App() {
         </div>
       )}
       
+      {!isAddingNote && !isPunchMode && !isMeasuring && selectionTool !== 'rect' && (
+        <div className="note-mode-bar note-mode-below-legend">
+          {activeSelectionTool.icon} {activeSelectionTool.hint} · Right-click to clear instead
+        </div>
+      )}
+      
+      {isPunchMode && (
+        <div className="note-mode-bar note-mode-below-legend">
+          🔧 Punch Mode: Click a panel end, or the middle of a panel, to log a defect
+        </div>
+      )}
+      
+      {isMeasuring && (
+        <div className="note-mode-bar note-mode-below-legend">
+          📏 {measurement
+            ? `${formatMeters(measurement.total)} (segment ${formatMeters(measurement.segment)})`
+            : 'Ruler: Click points to measure'} · Right-click or Esc to clear
+        </div>
+      )}
+      
+      {isTreeOpen && hierarchy && (
+        <ProgressTree
+          tree={hierarchy}
+          workflow={workflow}
+          onFocusNode={(node) => focusTargets([{ id: node.id, label: node.id, level: node.level, panelIds: node.panelIds }], 0)}
+          onClose={() => setIsTreeOpen(false)}
+        />
+      )}
+      
+      {isPunchListOpen && (
+        <PunchListPanel
+          items={punchItems}
+          selectedId={selectedPunchId}
+          labelOfPanel={labelOfPanel}
+          onFocusItem={focusPunchItem}
+          onToggleStatus={togglePunchStatus}
+          onClose={() => setIsPunchListOpen(false)}
+        />
+      )}
+      
+      {isNotesPanelOpen && (
+        <NotesPanel
+          entries={noteEntries}
+          selectedIds={selectedNotes}
+          onSelect={setSelectedNotes}
+          onFocusNote={zoomToNote}
+          onEditNote={(entry) => {
+            zoomToNote(entry);
+            setEditingNote(entry.note);
+          }}
+          onSetResolved={setNotesResolved}
+          onDelete={deleteNotes}
+          onClose={() => setIsNotesPanelOpen(false)}
+        />
+      )}
+      
+      {selectedArea && (
+        <AreaBreakdown
+          area={selectedArea}
+          counts={areaCounts[selectedArea.id]}
+          workflow={workflow}
+          onFocus={(area) => fitToPanels(area.panelIds)}
+          onClose={() => setSelectedAreaId(null)}
+        />
+      )}
+      
+      {editingPunch && (
+        <PunchItemModal
+          key={editingPunch.item.id}
+          item={editingPunch.item}
+          isNew={editingPunch.isNew}
+          panelLabel={labelOfPanel(editingPunch.item.panelId)}
+          subcontractors={knownSubcontractors}
+          photos={photos}
+          onAddPhotos={addPhotos}
+          onSave={savePunchItem}
+          onDelete={deletePunchItem}
+          onClose={() => setEditingPunch(null)}
+        />
+      )}
+      
+      {layoutReport && (
+        <LayoutReportBanner report={layoutReport} onDismiss={() => setLayoutReport(null)} />
+      )}
+      
       {/* Submit Modal */}
       <SubmitModal
         isOpen={isSubmitModalOpen}
         onClose={() => setIsSubmitModalOpen(false)}
-        onSubmit={addRecord}
-        dailyInstalled={mc4.completed}
+        onSubmit={handleSubmitRecord}
+        dailyLog={dailyLog}
+        changeLog={changeLog}
+        lastSubmittedAt={lastSubmittedAt}
+        workflow={workflow}
+        subcontractors={subcontractors}
+        onCreateSubcontractor={(sub) => saveSubcontractors([sub])}
+      />
+
+      {pendingChange && (
+        <BulkChangeConfirm
+          change={{ ...pendingChange, toolLabel: statusTools.find(t => t.id === pendingChange.tool).label }}
+          threshold={bulkThreshold}
+          onThresholdChange={updateBulkThreshold}
+          onConfirm={confirmPendingChange}
+          onCancel={cancelPendingChange}
+        />
+      )}
+
+      <ProjectImportModal
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        onImport={handleImportProject}
       />
 
       <HistoryModal
         isOpen={isHistoryOpen}
         onClose={() => setIsHistoryOpen(false)}
-        dailyLog={dailyLog}
+        records={logRecords}
+        workflow={workflow}
+        subcontractors={subcontractors}
+        onEdit={(id, fields, reason) => updateRecord(id, fields, { reason, user: userName.trim() || null, workflow })}
+        onDelete={(id, reason) => removeRecord(id, { reason, user: userName.trim() || null })}
+        onViewSnapshot={viewRecordSnapshot}
       />
+
+      {isSubcontractorsOpen && (
+        <SubcontractorsModal
+          subcontractors={subcontractors}
+          dailyLog={dailyLog}
+          onSave={(sub) => saveSubcontractors([sub])}
+          onMerge={mergeSubcontractors}
+          onLinkNames={linkSubcontractorNames}
+          onClose={() => setIsSubcontractorsOpen(false)}
+        />
+      )}
+
+      {isCrewReportOpen && (
+        <CrewReportModal
+          changeLog={changeLog}
+          workflow={workflow}
+          crewStyles={crewStyles}
+          onShowCrew={(crew) => {
+            setIsCrewView(true);
+            setCrewFilter(crew);
+            setIsCrewReportOpen(false);
+          }}
+          onClose={() => setIsCrewReportOpen(false)}
+        />
+      )}
+
+      {isWorkflowOpen && (
+        <WorkflowModal
+          workflow={workflow}
+          usedStageIds={usedStageIds}
+          onSave={saveWorkflow}
+          onClose={() => setIsWorkflowOpen(false)}
+        />
+      )}
+      
+      {playbackAt !== null && (
+        <TimelinePlayer
+          changeLog={changeLog}
+          panelStates={panelStates}
+          geometries={panelGeometry.list}
+          stageStyles={stageStyles}
+          workflow={workflow}
+          viewBox={viewBox}
+          at={playbackAt}
+          onSeek={setPlaybackAt}
+          onClose={() => setPlaybackAt(null)}
+        />
+      )}
+      
+      {viewedSnapshot && (
+        <div className="timeline-player">
+          <span>
+            📸 Map as submitted with {viewedSnapshot.record.date} ·{' '}
+            {subcontractorOf(viewedSnapshot.record, subcontractors)?.name || viewedSnapshot.record.subcontractor || '-'}
+          </span>
+          <span className="timeline-progress">
+            {new Date(viewedSnapshot.snapshot.taken_at).toLocaleString()} · read-only
+          </span>
+          <button className="modal-close" title="Back to the live map" onClick={() => setViewedSnapshot(null)}>✕</button>
+        </div>
+      )}
       
       {isAddingNote && (
         <div className="note-mode-bar note-mode-below-legend">
@@ -1198,11 +2181,12 @@ export default function App() {
         <svg
           ref={svgRef}
           viewBox={`${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`}
-          className={`map-svg ${isPanning ? 'panning' : ''} ${isAddingNote ? 'adding-note' : ''}`}
+          className={`map-svg ${isPanning ? 'panning' : ''} ${isAddingNote || isPunchMode ? 'adding-note' : ''} ${isMeasuring ? 'measuring' : ''}`}
           onMouseDown={handleMouseDown}
           onMouseMove={handleMouseMove}
           onMouseUp={handleMouseUp}
           onMouseLeave={handleMouseUp}
+          onDoubleClick={() => selectionTool === 'polygon' && closeSelectionPolygon()}
           onContextMenu={(e) => e.preventDefault()}
         >
           <rect
@@ -1218,24 +2202,37 @@ export default function App() {
             <Boundary key={index} feature={feature} toSvgCoords={toSvgCoords} />
           ))}
           
-          {invPointData && invPointData.features.map((feature, index) => (
-            <InvPoint key={index} feature={feature} toSvgCoords={toSvgCoords} />
+          {visibleInvRects.map((rect) => (
+            <InvPoint key={rect.id} rect={rect} />
           ))}
           
-          {panelsData.features.map((feature, index) => (
+          {/* Zoomed out: merged block paths. Zoomed in: only panels inside the viewBox */}
+          {isLowDetail ? (
+            <PanelBlockLayer
+              geometries={panelGeometry.list}
+              panelStates={mapStates}
+              highlightedPanelIds={highlightedPanelIds}
+              stageStyles={mapStyles}
+            />
+          ) : visiblePanels.map((geometry) => (
             <Panel 
-              key={index} 
-              index={index} 
-              feature={feature} 
-              state={panelStates[index]} 
-              toSvgCoords={toSvgCoords}
+              key={geometry.panelId} 
+              geometry={geometry} 
+              state={mapStates[geometry.panelId]} 
+              isHighlighted={highlightedPanelIds.has(geometry.panelId)}
+              stageStyles={mapStyles}
             />
           ))}
           
-          {textData && textData.features.map((feature, index) => (
-            // Text labels are now handled inside Panel component on hover
-            null
-          ))}
+          {overlayMode && (
+            <AreaOverlayLayer
+              areas={overlayAreas}
+              pctById={areaPct}
+              geometryById={panelGeometry.byId}
+              selectedId={selectedAreaId}
+              fontSize={overlayMode === 'areas' ? viewBox.width / 60 : Math.min(viewBox.width / 80, 2)}
+            />
+          )}
           
           {/* Selection box rendered INSIDE SVG for accurate coordinate matching */}
           {/* Blue = select (left-click), Red = unselect (right-click) */}
@@ -1253,6 +2250,21 @@ export default function App() {
             />
           )}
           
+          {selectionPreview && <SelectionPreviewLayer changes={selectionPreview.changes} stageStyles={stageStyles} />}
+          
+          {/* Lasso / polygon outline, same colours as the box */}
+          {selectionPath && (
+            <polyline
+              points={[...selectionPath.points, ...(selectionCursor ? [selectionCursor] : []), selectionPath.points[0]]
+                .map(p => `${p.x},${p.y}`).join(' ')}
+              fill={selectionPath.unselect ? "rgba(231, 76, 60, 0.15)" : "rgba(52, 152, 219, 0.15)"}
+              stroke={selectionPath.unselect ? "#e74c3c" : "#3498db"}
+              strokeWidth={Math.max(0.5, viewBox.width / 500)}
+              strokeDasharray={`${viewBox.width / 200},${viewBox.width / 400}`}
+              pointerEvents="none"
+            />
+          )}
+          
           {/* Note selection box (purple) */}
           {isNoteSelecting && noteSelectionStart && noteSelectionEnd && (
             <rect
@@ -1268,28 +2280,93 @@ export default function App() {
             />
           )}
           
+          {/* Ruler path with a label at its end */}
+          {measurement && (
+            <g className="measure-layer" pointerEvents="none">
+              <polyline
+                points={measurement.path.map(p => `${p.x},${p.y}`).join(' ')}
+                fill="none"
+                stroke="#f59e0b"
+                strokeWidth={Math.max(0.3, viewBox.width / 400)}
+              />
+              {measurePoints.map((p, i) => (
+                <circle key={i} cx={p.x} cy={p.y} r={viewBox.width / 300} fill="#f59e0b" />
+              ))}
+              <text
+                x={measurement.path[measurement.path.length - 1].x + viewBox.width / 150}
+                y={measurement.path[measurement.path.length - 1].y - viewBox.width / 150}
+                fontSize={viewBox.width / 60}
+                strokeWidth={viewBox.width / 400}
+                className="measure-label"
+              >
+                {formatMeters(measurement.total)}
+              </text>
+            </g>
+          )}
+          
           {/* Note markers rendered inside SVG */}
-          {notes.map(note => (
+          {placedNotes.map(({ note, x, y }) => (
             <SvgNoteMarker
               key={note.id}
               note={note}
+              x={x}
+              y={y}
               isSelected={selectedNotes.has(note.id)}
               viewBoxWidth={viewBox.width}
               onClick={(clickedNote) => setEditingNote(clickedNote)}
             />
           ))}
+          
+          <PunchMarkerLayer
+            items={punchItems}
+            panelGeometry={panelGeometry}
+            viewBoxWidth={viewBox.width}
+            selectedId={selectedPunchId}
+            onSelect={(item) => {
+              setSelectedPunchId(item.id);
+              setEditingPunch({ item, isNew: false });
+            }}
+          />
         </svg>
         
+        {selectionPreview && (
+          <div className="selection-preview-badge">
+            <strong>{selectionPreview.changes.length}</strong> changes · {statusTools.find(t => t.id === selectionPreview.tool).label}
+            {selectionPreview.changes.length > bulkThreshold && ' · will ask to confirm'}
+          </div>
+        )}
+        
+        {isBasemapMode && projection && (
+          <BasemapView
+            key={activeProjectId}
+            projectId={activeProjectId}
+            projection={projection}
+            panelGeometry={panelGeometry}
+            panelStates={shownStates}
+            stageStyles={stageStyles}
+            lineData={lineData}
+            invPointData={invPointData}
+            fromSvgCoords={fromSvgCoords}
+          />
+        )}
+        
+        {projection && !isBasemapMode && (
+          <ScaleBar svgRef={svgRef} viewBox={viewBox} metersPerUnit={projection.metersPerUnit} />
+        )}
+        
         {/* Note editor as HTML overlay */}
         {editingNote && (() => {
           const svg = svgRef.current;
           if (!svg) return null;
           const rect = svg.getBoundingClientRect();
-          const screenX = ((editingNote.svgX - viewBox.x) / viewBox.width) * rect.width;
-          const screenY = ((editingNote.svgY - viewBox.y) / viewBox.height) * rect.height;
+          const { x, y } = toSvgCoords(editingNote.lng, editingNote.lat);
+          const screenX = ((x - viewBox.x) / viewBox.width) * rect.width;
+          const screenY = ((y - viewBox.y) / viewBox.height) * rect.height;
           return (
             <NoteEditor
               note={editingNote}
+              photos={photos}
+              onAddPhotos={addPhotos}
               onUpdate={updateNote}
               onDelete={(id) => {
                 deleteNote(id);
@@ -1303,16 +2380,81 @@ export default function App() {
         })()}
       </div>
       
-      <div className="legend">
-        <div className="legend-item">
-          <span className="legend-dot mc4"></span>
-          <span>MC4 - Single click: MC4 installed</span>
+      {overlayMode ? (
+        <div className="legend">
+          <div className="legend-item legend-title">Completion overlay</div>
+          {[['areas', 'By sub-area'], ['boxes', 'By inverter box']].map(([mode, label]) => (
+            <button
+              key={mode}
+              className={`legend-item crew-legend-item ${overlayMode === mode ? 'active' : ''}`}
+              onClick={() => {
+                setOverlayMode(mode);
+                setSelectedAreaId(null);
+              }}
+            >
+              {label}
+            </button>
+          ))}
+          <select
+            className="area-overlay-stage"
+            value={overlayStage.id}
+            onChange={(e) => setOverlayStageId(e.target.value)}
+            title="Stage the fill shows"
+          >
+            {workflow.map(stage => <option key={stage.id} value={stage.id}>{stage.name}</option>)}
+          </select>
+          {[0, 50, 100].map(pct => (
+            <div key={pct} className="legend-item">
+              <span className="legend-dot panel-stage" style={{ background: heatColor(pct) }}></span>
+              <span>{pct}% complete</span>
+            </div>
+          ))}
+          {overlayAreas.length === 0 && (
+            <div className="legend-item area-overlay-empty">
+              {overlayMode === 'areas' ? 'No closed boundary areas in this layout' : 'No inverter boxes in this layout'}
+            </div>
+          )}
+          <button
+            className="legend-item crew-legend-item"
+            onClick={() => {
+              setOverlayMode(null);
+              setSelectedAreaId(null);
+            }}
+          >
+            ← {isCrewView ? 'Crew colours' : 'Stage colours'}
+          </button>
         </div>
-        <div className="legend-item">
-          <span className="legend-dot terminated"></span>
-          <span>Terminated - Double click: cable terminated</span>
+      ) : isCrewView ? (
+        <div className="legend">
+          <div className="legend-item legend-title">Work by crew</div>
+          {Object.entries(crewStyles).map(([crew, style]) => (
+            <button
+              key={crew}
+              className={`legend-item crew-legend-item ${crewFilter === crew ? 'active' : ''}`}
+              onClick={() => setCrewFilter(crewFilter === crew ? null : crew)}
+              title={crewFilter === crew ? 'Show all crews' : 'Show only this crew'}
+            >
+              <span className="legend-dot" style={{ background: style.fill }}></span>
+              <span>{crewLabel(crew)}</span>
+            </button>
+          ))}
+          <button className="legend-item crew-legend-item" onClick={() => setIsCrewView(false)}>
+            ← Stage colours
+          </button>
         </div>
+      ) : (
+      <div className="legend">
+        {workflow.map(stage => (
+          <div key={stage.id} className="legend-item">
+            <span
+              className={`legend-dot ${stage.scope === 'panel' ? 'panel-stage' : ''}`}
+              style={{ background: stage.color }}
+            ></span>
+            <span>{stage.name} - {stage.scope === 'panel' ? 'whole panel' : 'per end'}</span>
+          </div>
+        ))}
       </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,55 @@
+import React from 'react';
+
+const formatPct = (pct) => `${Math.floor(pct)}%`;
+
+// Side panel for the sub-area / inverter box clicked in the completion overlay:
+// done and remaining units per workflow stage (MC4, terminations, ...)
+export default function AreaBreakdown({ area, counts, workflow, onFocus, onClose }) {
+  return (
+    <div className="progress-tree area-breakdown">
+      <div className="progress-tree-header">
+        <strong>{area.name}</strong>
+        <button className="modal-close" onClick={onClose}>✕</button>
+      </div>
+      <div className="area-breakdown-meta">
+        {area.panelIds.length} panels
+        {area.inverters?.length > 0 && ` · ${area.inverters.join(', ')}`}
+        <button className="punch-toggle" onClick={() => onFocus(area)}>Show on map</button>
+      </div>
+      <div className="progress-tree-body">
+        <table className="area-breakdown-table">
+          <thead>
+            <tr>
+              <th>Stage</th>
+              <th>Done</th>
+              <th>Remaining</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {workflow.map(stage => {
+              const { completed, remaining, total } = counts[stage.id];
+              const pct = total > 0 ? (completed / total) * 100 : 0;
+              return (
+                <tr key={stage.id}>
+                  <td>
+                    <span className="legend-dot crew-dot" style={{ background: stage.color }}></span>
+                    {stage.name}
+                  </td>
+                  <td>{completed} / {total}{stage.scope === 'end' ? ' ends' : ' panels'}</td>
+                  <td>{remaining}</td>
+                  <td>
+                    <span className="tree-bar" title={`${stage.name}: ${formatPct(pct)}`}>
+                      <span className="tree-bar-fill" style={{ width: `${pct}%`, background: stage.color }} />
+                      <span className="tree-bar-label">{formatPct(pct)}</span>
+                    </span>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React, { memo, useMemo } from 'react';
+import { heatColor } from '../utils/areas';
+
+// Completion overlay: sub-areas are filled along their boundary rings, inverter boxes
+// by the panels assigned to them (their outline is the box's catchment). Not
+// interactive - clicks are resolved from geometry in App, like box selection.
+const AreaOverlayLayer = memo(({ areas, pctById, geometryById, selectedId, fontSize }) => {
+  const paths = useMemo(() => areas.map(area => ({
+    area,
+    d: area.rings
+      ? area.rings.map(ring => `M${ring.points.map(p => `${p.x},${p.y}`).join(' ')}Z`).join('')
+      : area.panelIds.map(id => geometryById.get(id)).filter(Boolean).map(g => `M${g.pointsStr}Z`).join(''),
+  })), [areas, geometryById]);
+
+  // Labels sit at the middle of the area (sub-areas) or on the box itself
+  const labelAt = (area) => {
+    if (area.rect) return { x: (area.rect.minX + area.rect.maxX) / 2, y: area.rect.minY - fontSize * 0.6 };
+    const { bbox } = area.rings.reduce((largest, ring) => {
+      const size = (ring.bbox.maxX - ring.bbox.minX) * (ring.bbox.maxY - ring.bbox.minY);
+      return size > largest.size ? { bbox: ring.bbox, size } : largest;
+    }, { bbox: area.rings[0].bbox, size: -1 });
+    return { x: (bbox.minX + bbox.maxX) / 2, y: (bbox.minY + bbox.maxY) / 2 };
+  };
+
+  return (
+    <g pointerEvents="none">
+      {paths.map(({ area, d }) => {
+        const color = heatColor(pctById[area.id] || 0);
+        const isSelected = area.id === selectedId;
+        return (
+          <path
+            key={area.id}
+            d={d}
+            fill={color}
+            fillOpacity={isSelected ? 0.6 : 0.4}
+            stroke={isSelected ? '#0f172a' : color}
+            strokeWidth={isSelected ? fontSize / 6 : fontSize / 20}
+          />
+        );
+      })}
+      {areas.map(area => {
+        const { x, y } = labelAt(area);
+        return (
+          <text
+            key={area.id}
+            x={x}
+            y={y}
+            className="area-overlay-label"
+            textAnchor="middle"
+            dominantBaseline="middle"
+            fontSize={fontSize}
+            strokeWidth={fontSize / 6}
+          >
+            {area.name} · {Math.floor(pctById[area.id] || 0)}%
+          </text>
+        );
+      })}
+    </g>
+  );
+});
+
+export default AreaOverlayLayer;
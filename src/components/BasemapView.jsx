@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useRef } from 'react';
+import L from 'leaflet';
+import { MapContainer, TileLayer, ImageOverlay, useMap } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { readOrthophoto } from '../utils/orthophoto';
+import { loadImagery, saveImagery, deleteImagery } from '../utils/projectStore';
+
+const TILE_URL_KEY = 'basemapTileUrl';
+
+// Site layers drawn imperatively on one canvas renderer - thousands of react-leaflet
+// components would be far slower. End markers are restyled in place when states change.
+function SiteLayers({ panelGeometry, panelStates, stageStyles, lineData, invPointData, fromSvgCoords, metersPerUnit }) {
+  const map = useMap();
+  const endsRef = useRef([]);
+  const outlinesRef = useRef([]);
+
+  useEffect(() => {
+    const renderer = L.canvas({ padding: 0.5 });
+    const group = L.layerGroup().addTo(map);
+    const toLatLng = ({ x, y }) => {
+      const { lng, lat } = fromSvgCoords(x, y);
+      return [lat, lng];
+    };
+    const lngLatPath = (coords) => coords.map(([lng, lat]) => [lat, lng]);
+
+    lineData.features.forEach((f) => {
+      L.polyline(lngLatPath(f.geometry.coordinates), {
+        renderer, color: '#f8fafc', weight: 1.5, dashArray: '4 4', interactive: false,
+      }).addTo(group);
+    });
+    invPointData.features.forEach((f) => {
+      L.polygon(lngLatPath(f.geometry.coordinates), {
+        renderer, color: '#f59e0b', weight: 1, fillOpacity: 0.3, interactive: false,
+      }).addTo(group);
+    });
+
+    const ends = [];
+    const outlines = [];
+    panelGeometry.list.forEach((g) => {
+      const outline = L.polygon(g.points.map(toLatLng), {
+        renderer, color: '#e2e8f0', weight: 0.8, fillOpacity: 0.05,
+      }).addTo(group);
+      if (g.label) outline.bindTooltip(g.label, { sticky: true });
+      outlines.push({ panelId: g.panelId, layer: outline });
+
+      [['left', g.leftPos], ['right', g.rightPos]].forEach(([side, pos]) => {
+        const layer = L.circle(toLatLng(pos), {
+          renderer, radius: g.endRadius * metersPerUnit, weight: 1, opacity: 0, fillOpacity: 0, interactive: false,
+        }).addTo(group);
+        ends.push({ panelId: g.panelId, side, layer });
+      });
+    });
+    endsRef.current = ends;
+    outlinesRef.current = outlines;
+
+    return () => {
+      group.remove();
+      endsRef.current = [];
+      outlinesRef.current = [];
+    };
+  }, [map, panelGeometry, lineData, invPointData, fromSvgCoords, metersPerUnit]);
+
+  useEffect(() => {
+    endsRef.current.forEach(({ panelId, side, layer }) => {
+      const style = stageStyles[panelStates[panelId]?.[side]];
+      layer.setStyle(style
+        ? { color: style.stroke, fillColor: style.fill, opacity: 1, fillOpacity: 0.95 }
+        : { opacity: 0, fillOpacity: 0 });
+    });
+    // Per-panel stages fill the panel outline
+    outlinesRef.current.forEach(({ panelId, layer }) => {
+      const style = stageStyles[panelStates[panelId]?.panel];
+      layer.setStyle(style
+        ? { fillColor: style.fill, fillOpacity: 0.45 }
+        : { fillColor: '#e2e8f0', fillOpacity: 0.05 });
+    });
+  }, [panelStates, stageStyles, panelGeometry, lineData, invPointData, fromSvgCoords, metersPerUnit]);
+
+  return null;
+}
+
+// Read-only map mode: the site layers and marked progress over a tile source and/or
+// a drone orthophoto, so supervisors can check the marking against the real site.
+export default function BasemapView({ projectId, projection, panelGeometry, panelStates, stageStyles, lineData, invPointData, fromSvgCoords }) {
+  const [tileUrl, setTileUrl] = useState(() => localStorage.getItem(TILE_URL_KEY) || '');
+  const [tileUrlInput, setTileUrlInput] = useState(tileUrl);
+  const [imagery, setImagery] = useState(null);
+  const [imageryUrl, setImageryUrl] = useState(null);
+  const [imageryOpacity, setImageryOpacity] = useState(1);
+  const [messages, setMessages] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const nw = projection.fromSvg(0, 0);
+  const se = projection.fromSvg(projection.width, projection.height);
+  const siteBounds = [[se.lat, nw.lng], [nw.lat, se.lng]];
+
+  useEffect(() => {
+    let isCancelled = false;
+    loadImagery(projectId).then((stored) => {
+      if (!isCancelled) setImagery(stored);
+    });
+    return () => { isCancelled = true; };
+  }, [projectId]);
+
+  useEffect(() => {
+    if (!imagery) {
+      setImageryUrl(null);
+      return;
+    }
+    const url = URL.createObjectURL(imagery.blob);
+    setImageryUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [imagery]);
+
+  const applyTileUrl = () => {
+    const url = tileUrlInput.trim();
+    if (url === tileUrl) return;
+    setTileUrl(url);
+    if (url) localStorage.setItem(TILE_URL_KEY, url);
+    else localStorage.removeItem(TILE_URL_KEY);
+  };
+
+  const handleOrthophotoFiles = async (e) => {
+    const files = e.target.files;
+    e.target.value = '';
+    if (!files || files.length === 0) return;
+
+    setIsLoading(true);
+    try {
+      const center = projection.fromSvg(projection.width / 2, projection.height / 2);
+      const { warnings, ...ortho } = await readOrthophoto(files, center);
+      const stored = { projectId, ...ortho };
+      await saveImagery(stored);
+      setImagery(stored);
+      setMessages(warnings);
+    } catch (err) {
+      setMessages([`⚠️ ${err.message}`]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const removeImagery = async () => {
+    try {
+      await deleteImagery(projectId);
+      setImagery(null);
+      setMessages([]);
+    } catch (err) {
+      setMessages([`⚠️ Could not remove the orthophoto: ${err.message}`]);
+    }
+  };
+
+  return (
+    <div className="basemap-view">
+      <MapContainer bounds={siteBounds} maxZoom={22} zoomSnap={0.25} className="basemap-map">
+        {tileUrl && <TileLayer key={tileUrl} url={tileUrl} maxZoom={22} maxNativeZoom={19} />}
+        {imagery && imageryUrl && (
+          <ImageOverlay url={imageryUrl} bounds={imagery.bounds} opacity={imageryOpacity} />
+        )}
+        <SiteLayers
+          panelGeometry={panelGeometry}
+          panelStates={panelStates}
+          stageStyles={stageStyles}
+          lineData={lineData}
+          invPointData={invPointData}
+          fromSvgCoords={fromSvgCoords}
+          metersPerUnit={projection.metersPerUnit}
+        />
+      </MapContainer>
+
+      <div className="basemap-controls">
+        <label>
+          Tile source
+          <input
+            type="text"
+            value={tileUrlInput}
+            placeholder="http://localhost:8080/{z}/{x}/{y}.png"
+            onChange={(e) => setTileUrlInput(e.target.value)}
+            onBlur={applyTileUrl}
+            onKeyDown={(e) => {
+              e.stopPropagation();
+              if (e.key === 'Enter') applyTileUrl();
+            }}
+          />
+        </label>
+
+        <div className="basemap-imagery">
+          {imagery ? (
+            <>
+              <span className="basemap-imagery-name" title={imagery.name}>🛰️ {imagery.name}</span>
+              <button onClick={removeImagery} title="Remove orthophoto">✕</button>
+            </>
+          ) : (
+            <label className="basemap-file-btn">
+              {isLoading ? 'Loading…' : '🛰️ Load orthophoto…'}
+              <input
+                type="file"
+                multiple
+                accept=".png,.jpg,.jpeg,.pgw,.pngw,.jgw,.jpgw,.jpegw,.wld,.tif,.tiff,.tfw"
+                onChange={handleOrthophotoFiles}
+                disabled={isLoading}
+              />
+            </label>
+          )}
+        </div>
+
+        {imagery && (
+          <label>
+            Orthophoto opacity
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={imageryOpacity}
+              onChange={(e) => setImageryOpacity(Number(e.target.value))}
+            />
+          </label>
+        )}
+
+        {messages.map((message) => (
+          <div key={message} className="basemap-message">{message}</div>
+        ))}
+        <div className="basemap-hint">Select the image together with its world file. Marking stays in plan view.</div>
+      </div>
+    </div>
+  );
+}
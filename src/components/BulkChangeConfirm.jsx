@@ -0,0 +1,58 @@
+import React, { useEffect } from 'react';
+
+// Confirmation for selections that change more ends / panels than the configured threshold
+export default function BulkChangeConfirm({ change, threshold, onThresholdChange, onConfirm, onCancel }) {
+  // Enter applies, Escape cancels. Keys are stopped in the capture phase so the map
+  // shortcuts underneath (undo, status keys, Escape) don't act while the dialog is open.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // Typing in the threshold field: the field keeps its own keys from the map
+      if (e.target.tagName === 'INPUT') return;
+      e.stopImmediatePropagation();
+      // A focused button handles Enter itself
+      if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') onConfirm();
+      if (e.key === 'Escape') onCancel();
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [onConfirm, onCancel]);
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content bulk-confirm" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>⚠️ Large change</h2>
+          <button className="modal-close" onClick={onCancel}>✕</button>
+        </div>
+
+        <div className="bulk-confirm-body">
+          <p>
+            <strong>{change.toolLabel}</strong> will make <strong>{change.changeCount}</strong> changes
+            on <strong>{change.panelCount}</strong> panels.
+          </p>
+
+          <div className="form-group">
+            <label htmlFor="bulkThreshold">Ask when a selection changes more than</label>
+            <input
+              type="number"
+              id="bulkThreshold"
+              min="0"
+              value={threshold}
+              onChange={(e) => onThresholdChange(Math.max(0, Number(e.target.value) || 0))}
+              onKeyDown={(e) => e.stopPropagation()}
+            />
+          </div>
+
+          <div className="modal-actions">
+            <button type="button" className="btn-cancel" onClick={onCancel}>
+              Cancel
+            </button>
+            <button type="button" className="btn-submit" onClick={onConfirm}>
+              Apply
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
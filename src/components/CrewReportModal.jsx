@@ -0,0 +1,87 @@
+import React, { useState, useMemo } from 'react';
+import { crewLabel, crewProductivity } from '../utils/crews';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIODS = [
+  { id: 'all', label: 'All time', days: null },
+  { id: 'week', label: 'Last 7 days', days: 7 },
+  { id: 'month', label: 'Last 30 days', days: 30 },
+];
+
+// Net units per stage for each crew, with the days it worked and its daily rate.
+// "Map" colours the map by that crew's work only.
+export default function CrewReportModal({ changeLog, workflow, crewStyles, onShowCrew, onClose }) {
+  const [period, setPeriod] = useState('all');
+
+  const rows = useMemo(() => {
+    const days = PERIODS.find(p => p.id === period).days;
+    return crewProductivity(changeLog, workflow, days ? { from: Date.now() - days * DAY_MS } : {});
+  }, [changeLog, workflow, period]);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content crew-report-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>👷 Crew Productivity</h2>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="crew-report-toolbar">
+          <select value={period} onChange={(e) => setPeriod(e.target.value)}>
+            {PERIODS.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+          </select>
+          <button className="punch-toggle" onClick={() => onShowCrew(null)}>
+            Colour map by crew
+          </button>
+        </div>
+
+        <div className="history-table">
+          {rows.length === 0 && (
+            <div className="history-empty">No panel changes in this period.</div>
+          )}
+          {rows.length > 0 && (
+            <table>
+              <thead>
+                <tr>
+                  <th>Crew</th>
+                  {workflow.map(stage => (
+                    <th key={stage.id}>{stage.name}</th>
+                  ))}
+                  <th>Days</th>
+                  <th>Recorded by</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.crew}>
+                    <td>
+                      <span className="legend-dot crew-dot" style={{ background: crewStyles[row.crew]?.fill }} />
+                      {crewLabel(row.crew)}
+                    </td>
+                    {workflow.map(stage => (
+                      <td key={stage.id}>
+                        {row.stageCounts[stage.id]}
+                        {row.days > 0 && row.stageCounts[stage.id] > 0 && (
+                          <span className="crew-rate"> ({(row.stageCounts[stage.id] / row.days).toFixed(1)}/day)</span>
+                        )}
+                      </td>
+                    ))}
+                    <td>{row.days}</td>
+                    <td>{row.users.join(', ') || '-'}</td>
+                    <td>
+                      <button className="punch-toggle" title="Show this crew's work on the map" onClick={() => onShowCrew(row.crew)}>
+                        Map
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
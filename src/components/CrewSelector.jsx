@@ -0,0 +1,31 @@
+import React from 'react';
+
+// Active crew and user, stamped on every panel change made from now on
+export default function CrewSelector({ crew, user, crews, onCrewChange, onUserChange, onOpenReport }) {
+  return (
+    <div className="crew-selector" onKeyDown={(e) => e.stopPropagation()}>
+      <button className="tool-btn" onClick={onOpenReport} title="Crew Productivity">
+        👷
+      </button>
+      <input
+        type="text"
+        list="activeCrews"
+        value={crew}
+        onChange={(e) => onCrewChange(e.target.value)}
+        placeholder="Active crew"
+        title="Crew credited with the changes you make"
+      />
+      <datalist id="activeCrews">
+        {crews.map(name => <option key={name} value={name} />)}
+      </datalist>
+      <input
+        type="text"
+        className="crew-user"
+        value={user}
+        onChange={(e) => onUserChange(e.target.value)}
+        placeholder="Your name"
+        title="Recorded with your changes and notes"
+      />
+    </div>
+  );
+}
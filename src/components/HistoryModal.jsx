@@ -1,17 +1,145 @@
-import React from 'react';
+import React, { useState } from 'react';
+import { recordStageCount } from '../utils/workflow';
+import { subcontractorOf, listedSubcontractors } from '../utils/subcontractors';
+import { isLive, findDuplicate } from '../utils/dailyLog';
+
+const formatTime = (ms) => new Date(ms).toLocaleString();
+
+// Editable copy of a record's fields
+const toForm = (record, workflow) => ({
+  date: record.date,
+  subcontractor_id: record.subcontractor_id || '',
+  workers: record.workers,
+  stage_counts: Object.fromEntries(workflow.map(stage => [stage.id, recordStageCount(record, stage.id)])),
+  reason: '',
+});
+
+// One audit entry as text: "Workers 4 → 5, MC4 120 → 100"
+function describeChanges(changes, workflow) {
+  return Object.entries(changes)
+    .filter(([field]) => field !== 'subcontractor_id')
+    .map(([field, { from, to }]) => {
+      const stageId = field.startsWith('stage_counts.') ? field.slice('stage_counts.'.length) : null;
+      const label = stageId
+        ? workflow.find(stage => stage.id === stageId)?.name || stageId
+        : { date: 'Date', subcontractor: 'Subcontractor', workers: 'Workers' }[field] || field;
+      return `${label} ${from ?? '-'} → ${to}`;
+    })
+    .join(', ');
+}
+
+// Submitted records, newest first. Records can be corrected or deleted with a reason;
+// every correction is kept in the record's audit trail, shown under it. The map
+// snapshot stored with a record can be opened for auditing.
+export default function HistoryModal({ isOpen, onClose, records, workflow, subcontractors, onEdit, onDelete, onViewSnapshot }) {
+  const [showDeleted, setShowDeleted] = useState(false);
+  const [expanded, setExpanded] = useState(new Set());
+  // { id, mode: 'edit' | 'delete', form }
+  const [editing, setEditing] = useState(null);
 
-export default function HistoryModal({ isOpen, onClose, dailyLog }) {
   if (!isOpen) return null;
 
-  const sorted = [...dailyLog].sort((a, b) => new Date(b.date) - new Date(a.date));
+  const sorted = records
+    .filter(r => showDeleted || isLive(r))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+  const deletedCount = records.filter(r => !isLive(r)).length;
+  const choices = listedSubcontractors(subcontractors);
+  const columnCount = workflow.length + 4;
+
+  const setField = (name) => (e) => setEditing(prev => ({ ...prev, form: { ...prev.form, [name]: e.target.value } }));
+  const setCount = (stageId) => (e) => setEditing(prev => ({
+    ...prev,
+    form: { ...prev.form, stage_counts: { ...prev.form.stage_counts, [stageId]: e.target.value } }
+  }));
+
+  const toggleAudit = (id) => setExpanded(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+
+  const save = (record) => {
+    const { form } = editing;
+    const reason = form.reason.trim();
+    if (!reason) return;
+    if (editing.mode === 'delete') {
+      onDelete(record.id, reason);
+    } else {
+      const sub = subcontractors.find(entry => entry.id === form.subcontractor_id);
+      onEdit(record.id, {
+        date: form.date,
+        ...(sub ? { subcontractor_id: sub.id, subcontractor: sub.name } : {}),
+        workers: parseInt(form.workers) || 1,
+        stage_counts: Object.fromEntries(Object.entries(form.stage_counts).map(([id, n]) => [id, parseInt(n) || 0])),
+      }, reason);
+    }
+    setEditing(null);
+  };
+
+  const renderEditRow = (record) => {
+    const { mode, form } = editing;
+    const sub = subcontractors.find(entry => entry.id === form.subcontractor_id);
+    const duplicate = mode === 'edit' && findDuplicate(records, {
+      date: form.date,
+      subcontractor_id: form.subcontractor_id || null,
+      subcontractor: sub ? sub.name : record.subcontractor,
+    }, record.id);
+
+    return (
+      <tr key={record.id} className="history-edit-row">
+        {mode === 'edit' ? (
+          <>
+            <td><input type="date" value={form.date} onChange={setField('date')} required /></td>
+            <td>
+              <select value={form.subcontractor_id} onChange={setField('subcontractor_id')}>
+                {!record.subcontractor_id && <option value="">{record.subcontractor || '-'} (unlinked)</option>}
+                {choices.map(entry => <option key={entry.id} value={entry.id}>{entry.name}</option>)}
+              </select>
+            </td>
+            <td><input type="number" min="1" value={form.workers} onChange={setField('workers')} /></td>
+            {workflow.map(stage => (
+              <td key={stage.id}>
+                <input type="number" value={form.stage_counts[stage.id]} onChange={setCount(stage.id)} />
+              </td>
+            ))}
+          </>
+        ) : (
+          <td colSpan={workflow.length + 3}>
+            Delete {record.date} · {subcontractorOf(record, subcontractors)?.name || record.subcontractor || '-'}?
+          </td>
+        )}
+        <td className="history-edit-actions">
+          <input
+            type="text"
+            value={form.reason}
+            onChange={setField('reason')}
+            placeholder={mode === 'delete' ? 'Reason for deleting' : 'Reason for the correction'}
+            autoFocus
+          />
+          {duplicate && <div className="history-warning">⚠️ Another record exists for this date and subcontractor</div>}
+          <button className="punch-toggle" disabled={!form.reason.trim()} onClick={() => save(record)}>
+            {mode === 'delete' ? 'Delete' : 'Save'}
+          </button>
+          <button className="punch-toggle" onClick={() => setEditing(null)}>Cancel</button>
+        </td>
+      </tr>
+    );
+  };
 
   return (
     <div className="modal-overlay" onClick={onClose}>
-      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+      <div className="modal-content history-modal" onClick={(e) => e.stopPropagation()} onKeyDown={(e) => e.stopPropagation()}>
         <div className="modal-header">
           <h2>🗒️ Submission History</h2>
           <button className="modal-close" onClick={onClose}>✕</button>
         </div>
+        {deletedCount > 0 && (
+          <label className="history-show-deleted">
+            <input type="checkbox" checked={showDeleted} onChange={(e) => setShowDeleted(e.target.checked)} />
+            Show {deletedCount} deleted
+          </label>
+        )}
         <div className="history-table">
           {sorted.length === 0 && (
             <div className="history-empty">No submissions yet.</div>
@@ -23,18 +151,72 @@ export default function HistoryModal({ isOpen, onClose, dailyLog }) {
                   <th>Date</th>
                   <th>Subcontractor</th>
                   <th>Workers</th>
-                  <th>Installed</th>
+                  {workflow.map(stage => (
+                    <th key={stage.id}>{stage.name}</th>
+                  ))}
+                  <th></th>
                 </tr>
               </thead>
               <tbody>
-                {sorted.map((r, idx) => (
-                  <tr key={idx}>
-                    <td>{r.date}</td>
-                    <td>{r.subcontractor || '-'}</td>
-                    <td>{r.workers}</td>
-                    <td>{r.installed_panels}</td>
-                  </tr>
-                ))}
+                {sorted.map(r => {
+                  if (editing?.id === r.id) return renderEditRow(r);
+                  const audit = r.audit || [];
+                  return (
+                    <React.Fragment key={r.id}>
+                      <tr className={isLive(r) ? '' : 'history-deleted'}>
+                        <td>{r.date}</td>
+                        <td>{subcontractorOf(r, subcontractors)?.name || r.subcontractor || '-'}</td>
+                        <td>{r.workers}</td>
+                        {workflow.map(stage => (
+                          <td key={stage.id}>{recordStageCount(r, stage.id)}</td>
+                        ))}
+                        <td className="history-row-actions">
+                          {r.snapshot_id && (
+                            <button
+                              className="punch-toggle"
+                              title="View the map as it was when this was submitted"
+                              onClick={() => onViewSnapshot(r)}
+                            >
+                              📸
+                            </button>
+                          )}
+                          {audit.length > 0 && (
+                            <button className="punch-toggle" title="Show corrections" onClick={() => toggleAudit(r.id)}>
+                              📜 {audit.length}
+                            </button>
+                          )}
+                          {isLive(r) && (
+                            <>
+                              <button
+                                className="punch-toggle"
+                                title="Correct this record"
+                                onClick={() => setEditing({ id: r.id, mode: 'edit', form: toForm(r, workflow) })}
+                              >
+                                ✎
+                              </button>
+                              <button
+                                className="punch-toggle"
+                                title="Delete this record"
+                                onClick={() => setEditing({ id: r.id, mode: 'delete', form: { reason: '' } })}
+                              >
+                                🗑️
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                      {expanded.has(r.id) && audit.map((entry, i) => (
+                        <tr key={`${r.id}-audit-${i}`} className="history-audit-row">
+                          <td colSpan={columnCount}>
+                            {formatTime(entry.at)} · {entry.user || 'Unknown'} ·{' '}
+                            {entry.action === 'delete' ? 'Deleted' : `Edited: ${describeChanges(entry.changes, workflow)}`}
+                            {' · '}<em>{entry.reason}</em>
+                          </td>
+                        </tr>
+                      ))}
+                    </React.Fragment>
+                  );
+                })}
               </tbody>
             </table>
           )}
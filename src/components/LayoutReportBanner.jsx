@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { LAYER_KINDS, summarizeSkipped } from '../utils/layoutLoader';
+
+const PREVIEW_COUNT = 8;
+
+export default function LayoutReportBanner({ report, onDismiss }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const { orphaned, added, skipped = {} } = report;
+  const hasLayoutChange = orphaned.length > 0 || added.length > 0;
+
+  const renderIds = (ids) => {
+    const shown = isExpanded ? ids : ids.slice(0, PREVIEW_COUNT);
+    const hidden = ids.length - shown.length;
+    return (
+      <span className="layout-report-ids">
+        {shown.join(', ')}
+        {hidden > 0 && ` … +${hidden} more`}
+      </span>
+    );
+  };
+
+  return (
+    <div className="layout-report-bar">
+      <div className="layout-report-header">
+        <strong>⚠️ {hasLayoutChange ? 'Layout changed since last save' : 'Some layout features were skipped'}</strong>
+        <div className="layout-report-actions">
+          <button onClick={() => setIsExpanded(!isExpanded)}>
+            {isExpanded ? 'Less' : 'Details'}
+          </button>
+          <button onClick={onDismiss}>✕</button>
+        </div>
+      </div>
+      {orphaned.length > 0 && (
+        <div className="layout-report-row">
+          {orphaned.length} saved panel(s) not found in this layout - progress kept aside: {renderIds(orphaned)}
+        </div>
+      )}
+      {added.length > 0 && (
+        <div className="layout-report-row">
+          {added.length} new panel(s) with no saved progress: {renderIds(added)}
+        </div>
+      )}
+      {Object.entries(skipped).map(([kind, items]) => (
+        <div key={kind} className="layout-report-row">
+          {LAYER_KINDS[kind].label}: skipped {summarizeSkipped(items)}
+          {isExpanded && <>: {renderIds(items.map(item => (item.handle !== undefined ? `H${item.handle}` : `#${item.index}`)))}</>}
+        </div>
+      ))}
+    </div>
+  );
+}
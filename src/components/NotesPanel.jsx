@@ -0,0 +1,118 @@
+import React, { useState, useMemo } from 'react';
+import { noteCreatedAt, searchNotes } from '../utils/notes';
+
+const formatTime = (ms) => (ms ? new Date(ms).toLocaleString() : '-');
+
+// All map notes in one list: search, filter by resolved state, zoom to a note and
+// resolve or delete several at once. Checkboxes share the map's note selection.
+export default function NotesPanel({
+  entries, selectedIds, onSelect, onFocusNote, onEditNote, onSetResolved, onDelete, onClose
+}) {
+  const [query, setQuery] = useState('');
+  const [show, setShow] = useState('open');
+
+  // Newest first
+  const visible = useMemo(() => searchNotes(entries, query)
+    .filter(({ note }) => show === 'all' || Boolean(note.resolved) === (show === 'resolved'))
+    .sort((a, b) => (noteCreatedAt(b.note) || 0) - (noteCreatedAt(a.note) || 0)),
+  [entries, query, show]);
+
+  const openCount = entries.filter(({ note }) => !note.resolved).length;
+  const visibleSelected = visible.filter(({ note }) => selectedIds.has(note.id));
+  const allSelected = visible.length > 0 && visibleSelected.length === visible.length;
+  // Bulk actions only touch notes that are both selected and listed
+  const targetIds = new Set(visibleSelected.map(({ note }) => note.id));
+
+  const toggle = (id) => {
+    const next = new Set(selectedIds);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    onSelect(next);
+  };
+
+  return (
+    <div className="progress-tree notes-panel">
+      <div className="progress-tree-header">
+        <strong>Notes · {openCount} open / {entries.length}</strong>
+        <button className="modal-close" onClick={onClose}>✕</button>
+      </div>
+
+      <div className="punch-filters" onKeyDown={(e) => e.stopPropagation()}>
+        <input type="text" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search text, author, panel…" />
+        <select value={show} onChange={(e) => setShow(e.target.value)}>
+          <option value="open">Open</option>
+          <option value="resolved">Resolved</option>
+          <option value="all">All</option>
+        </select>
+      </div>
+
+      <div className="notes-bulk">
+        <label>
+          <input
+            type="checkbox"
+            checked={allSelected}
+            onChange={() => onSelect(allSelected ? new Set() : new Set(visible.map(({ note }) => note.id)))}
+          />
+          {targetIds.size > 0 ? `${targetIds.size} selected` : 'Select all'}
+        </label>
+        <button className="punch-toggle" disabled={targetIds.size === 0} onClick={() => onSetResolved(targetIds, true)}>
+          ✓ Resolve
+        </button>
+        <button className="punch-toggle" disabled={targetIds.size === 0} onClick={() => onSetResolved(targetIds, false)}>
+          ↺ Reopen
+        </button>
+        <button className="punch-toggle notes-delete" disabled={targetIds.size === 0} onClick={() => onDelete(targetIds)}>
+          🗑️ Delete
+        </button>
+      </div>
+
+      <div className="progress-tree-body">
+        {visible.length === 0 && <div className="punch-empty">No matching notes</div>}
+        {visible.map((entry) => {
+          const { note, panelLabel } = entry;
+          const createdAt = noteCreatedAt(note);
+          return (
+            <div
+              key={note.id}
+              className={`punch-row ${selectedIds.has(note.id) ? 'selected' : ''}`}
+              onClick={() => onFocusNote(entry)}
+              onDoubleClick={() => onEditNote(entry)}
+            >
+              <input
+                type="checkbox"
+                checked={selectedIds.has(note.id)}
+                onClick={(e) => e.stopPropagation()}
+                onChange={() => toggle(note.id)}
+              />
+              <div className="punch-row-main">
+                <div className="punch-row-meta notes-text">
+                  {note.resolved && <span className="notes-resolved">Resolved</span>}
+                  {note.text || <em>(empty)</em>}
+                </div>
+                <div className="punch-row-meta">
+                  {note.author || 'Unknown'}
+                  {panelLabel && ` · near ${panelLabel}`}
+                  {note.photoIds?.length > 0 && ` · 📷 ${note.photoIds.length}`}
+                </div>
+                <div className="punch-row-meta">
+                  {formatTime(createdAt)}
+                  {note.updatedAt && note.updatedAt !== createdAt && ` · edited ${formatTime(note.updatedAt)}`}
+                </div>
+              </div>
+              <button
+                className="punch-toggle"
+                title="Edit note"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onEditNote(entry);
+                }}
+              >
+                ✎
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import React, { memo, useMemo } from 'react';
+import { circlePath } from '../utils/panelGeometry';
+
+// Low-zoom rendering: all panels merged into a handful of paths instead of
+// thousands of polygons. Not interactive - box selection still works because
+// it resolves panels from geometry, not from DOM nodes.
+const PanelBlockLayer = memo(({ geometries, panelStates, highlightedPanelIds, stageStyles }) => {
+  const outlinePath = useMemo(
+    () => geometries.map(g => `M${g.pointsStr}Z`).join(''),
+    [geometries]
+  );
+
+  // One path per stage: end circles for per-end stages, panel fills for per-panel stages
+  const { endPaths, fillPaths } = useMemo(() => {
+    const ends = {};
+    const fills = {};
+    const add = (paths, stageId, d) => {
+      if (!stageStyles[stageId]) return;
+      if (!paths[stageId]) paths[stageId] = [];
+      paths[stageId].push(d);
+    };
+    geometries.forEach(g => {
+      const state = panelStates[g.panelId];
+      if (!state) return;
+      if (state.panel) add(fills, state.panel, `M${g.pointsStr}Z`);
+      if (state.left) add(ends, state.left, circlePath(g.leftPos, g.endRadius));
+      if (state.right) add(ends, state.right, circlePath(g.rightPos, g.endRadius));
+    });
+    const join = (paths) => Object.entries(paths).map(([stageId, parts]) => [stageId, parts.join('')]);
+    return { endPaths: join(ends), fillPaths: join(fills) };
+  }, [geometries, panelStates, stageStyles]);
+
+  const highlightPath = useMemo(
+    () => geometries
+      .filter(g => highlightedPanelIds.has(g.panelId))
+      .map(g => `M${g.pointsStr}Z`)
+      .join(''),
+    [geometries, highlightedPanelIds]
+  );
+
+  return (
+    <g pointerEvents="none">
+      <path d={outlinePath} fill="rgba(71, 85, 105, 0.05)" stroke="#64748b" strokeWidth={0.25} />
+      {fillPaths.map(([stageId, d]) => (
+        <path key={stageId} d={d} fill={stageStyles[stageId].fill} fillOpacity={0.4} stroke="none" />
+      ))}
+      {highlightPath && (
+        <path d={highlightPath} fill="rgba(245, 158, 11, 0.35)" stroke="#d97706" strokeWidth={0.5} />
+      )}
+      {endPaths.map(([stageId, d]) => (
+        <path
+          key={stageId}
+          d={d}
+          fill={stageStyles[stageId].fill}
+          stroke={stageStyles[stageId].stroke}
+          strokeWidth={0.15}
+          opacity={0.95}
+        />
+      ))}
+    </g>
+  );
+});
+
+export default PanelBlockLayer;
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+
+// Full-size view of one photo, decoded from its stored blob only while open
+function PhotoViewer({ photo, onClose }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(photo.blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [photo]);
+
+  return (
+    <div className="photo-viewer" onClick={onClose}>
+      {url && <img src={url} alt={photo.name} />}
+      <div className="photo-viewer-caption">
+        {photo.name} · {new Date(photo.createdAt).toLocaleString()}
+      </div>
+    </div>
+  );
+}
+
+// Thumbnails of the attached photos plus a capture / upload button. `onAdd(files)`
+// stores the files and resolves to the new photo ids.
+export default function PhotoAttachments({ photoIds, photos, onAdd, onChange }) {
+  const [viewing, setViewing] = useState(null);
+  const [isAdding, setIsAdding] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setIsAdding(true);
+    setError(null);
+    try {
+      const ids = await onAdd(files);
+      onChange([...photoIds, ...ids]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  return (
+    <div className="photo-attachments">
+      {photoIds.map(id => {
+        const photo = photos.get(id);
+        if (!photo) return null;
+        return (
+          <div key={id} className="photo-thumb">
+            <img src={photo.thumbnail} alt={photo.name} title={photo.name} onClick={() => setViewing(photo)} />
+            <button type="button" title="Remove photo" onClick={() => onChange(photoIds.filter(p => p !== id))}>✕</button>
+          </div>
+        );
+      })}
+      <label className="photo-add" title="Take or upload photos">
+        {isAdding ? '…' : '📷'}
+        <input type="file" accept="image/*" multiple onChange={handleFiles} disabled={isAdding} />
+      </label>
+      {error && <div className="import-error">{error}</div>}
+      {viewing && <PhotoViewer photo={viewing} onClose={() => setViewing(null)} />}
+    </div>
+  );
+}
@@ -1,21 +1,23 @@
 import React from 'react';
 
-export default function ProgressStats({ mc4, termination, dailyLog }) {
+export default function ProgressStats({ workflow, stageTotals }) {
   return (
     <div className="progress-stats">
       <div className="counters">
-        <div className="counter-row">
-          <span className="counter-label">MC4 Install:</span>
-          <span className="counter-item">Total: <strong>{mc4.total}</strong></span>
-          <span className="counter-item completed">Done: <strong>{mc4.completed}</strong></span>
-          <span className="counter-item remaining">Remaining: <strong>{mc4.remaining}</strong></span>
-        </div>
-        <div className="counter-row">
-          <span className="counter-label">Cable Termination:</span>
-          <span className="counter-item">Total: <strong>{termination.total}</strong></span>
-          <span className="counter-item completed">Done: <strong>{termination.completed}</strong></span>
-          <span className="counter-item remaining">Remaining: <strong>{termination.remaining}</strong></span>
-        </div>
+        {workflow.map(stage => {
+          const { total, completed, remaining } = stageTotals[stage.id];
+          return (
+            <div key={stage.id} className="counter-row">
+              <span className="counter-label">
+                <span className="legend-dot" style={{ background: stage.color }} />
+                {stage.name}:
+              </span>
+              <span className="counter-item">Total: <strong>{total}</strong></span>
+              <span className="counter-item completed">Done: <strong>{completed}</strong></span>
+              <span className="counter-item remaining">Remaining: <strong>{remaining}</strong></span>
+            </div>
+          );
+        })}
       </div>
     </div>
   );
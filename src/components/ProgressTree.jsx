@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+
+const formatPct = (pct) => `${Math.floor(pct)}%`;
+
+function ProgressBar({ pct, stage }) {
+  return (
+    <span className="tree-bar" title={`${stage.name}: ${formatPct(pct)}`}>
+      <span className="tree-bar-fill" style={{ width: `${pct}%`, background: stage.color }} />
+      <span className="tree-bar-label">{formatPct(pct)}</span>
+    </span>
+  );
+}
+
+function TreeNode({ node, depth, expanded, onToggle, onFocus, workflow, finalEndStage }) {
+  const hasChildren = node.children.length > 0;
+  const isExpanded = expanded.has(node.id);
+  // An inverter is ready for commissioning once every end under it reached the last end stage
+  const isReady = node.level === 'inv' && finalEndStage && node.stats.ends > 0 &&
+    node.stats.stages[finalEndStage.id] === node.stats.ends;
+
+  return (
+    <>
+      <div className={`tree-row level-${node.level}`} style={{ paddingLeft: 8 + depth * 14 }}>
+        <button
+          className="tree-toggle"
+          onClick={() => onToggle(node.id)}
+          disabled={!hasChildren}
+        >
+          {hasChildren ? (isExpanded ? '▾' : '▸') : ''}
+        </button>
+        <span
+          className="tree-name"
+          title={`${node.stats.panels} panels - click to show on map`}
+          onClick={() => onFocus(node)}
+        >
+          {node.name}
+          {isReady && <span className="tree-ready">Ready</span>}
+        </span>
+        {workflow.map(stage => (
+          <ProgressBar key={stage.id} pct={node.stagePct[stage.id]} stage={stage} />
+        ))}
+      </div>
+      {isExpanded && node.children.map(child => (
+        <TreeNode
+          key={child.id}
+          node={child}
+          depth={depth + 1}
+          expanded={expanded}
+          onToggle={onToggle}
+          onFocus={onFocus}
+          workflow={workflow}
+          finalEndStage={finalEndStage}
+        />
+      ))}
+    </>
+  );
+}
+
+export default function ProgressTree({ tree, workflow, onFocusNode, onClose }) {
+  const [expanded, setExpanded] = useState(new Set());
+  const finalEndStage = workflow.filter(stage => stage.scope === 'end').pop();
+
+  const toggle = (id) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  return (
+    <div className="progress-tree">
+      <div className="progress-tree-header">
+        <strong>Electrical Hierarchy</strong>
+        <button className="modal-close" onClick={onClose}>✕</button>
+      </div>
+      <div className="tree-row tree-columns">
+        <span className="tree-name">TX / INV / STR</span>
+        {workflow.map(stage => (
+          <span key={stage.id} className="tree-column" title={stage.name}>{stage.shortName}</span>
+        ))}
+      </div>
+      <div className="progress-tree-body">
+        {tree.children.map(node => (
+          <TreeNode
+            key={node.id}
+            node={node}
+            depth={0}
+            expanded={expanded}
+            onToggle={toggle}
+            onFocus={onFocusNode}
+            workflow={workflow}
+            finalEndStage={finalEndStage}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
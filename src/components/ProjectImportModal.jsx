@@ -0,0 +1,200 @@
+import React, { useState, useMemo } from 'react';
+import JSZip from 'jszip';
+import { LAYER_KINDS, guessLayerKind, validateLayer } from '../utils/layoutLoader';
+
+const isGeoJsonName = (name) => /\.(geo)?json$/i.test(name);
+
+// Read dropped/picked files into [{ fileName, geojson, parseError }], unpacking zips
+async function readFiles(fileList) {
+  const entries = [];
+  for (const file of fileList) {
+    if (/\.zip$/i.test(file.name)) {
+      const zip = await JSZip.loadAsync(file);
+      const inner = Object.values(zip.files).filter(f => !f.dir && isGeoJsonName(f.name));
+      for (const f of inner) {
+        entries.push(parseEntry(f.name, await f.async('string')));
+      }
+    } else if (isGeoJsonName(file.name)) {
+      entries.push(parseEntry(file.name, await file.text()));
+    }
+  }
+  return entries;
+}
+
+function parseEntry(fileName, text) {
+  try {
+    return { fileName, geojson: JSON.parse(text), parseError: null };
+  } catch {
+    return { fileName, geojson: null, parseError: 'File is not valid JSON' };
+  }
+}
+
+export default function ProjectImportModal({ isOpen, onClose, onImport }) {
+  const [name, setName] = useState('');
+  const [files, setFiles] = useState([]); // [{ fileName, geojson, parseError, kind }]
+  const [isReading, setIsReading] = useState(false);
+  const [readError, setReadError] = useState(null);
+  const [isDragOver, setIsDragOver] = useState(false);
+
+  const addFiles = async (fileList) => {
+    setIsReading(true);
+    setReadError(null);
+    try {
+      const entries = await readFiles(fileList);
+      setFiles(prev => {
+        const taken = new Set(prev.map(f => f.kind).filter(Boolean));
+        return [
+          ...prev,
+          ...entries.map(entry => {
+            const guess = guessLayerKind(entry.fileName);
+            const kind = guess && !taken.has(guess) ? guess : null;
+            if (kind) taken.add(kind);
+            return { ...entry, kind };
+          })
+        ];
+      });
+      if (entries.length === 0) setReadError('No .geojson / .json files found');
+    } catch (e) {
+      console.error('Error reading layout files:', e);
+      setReadError(`Could not read files: ${e.message}`);
+    }
+    setIsReading(false);
+  };
+
+  const setKind = (index, kind) => {
+    setFiles(prev => prev.map((f, i) => (i === index ? { ...f, kind: kind || null } : f)));
+  };
+
+  const reset = () => {
+    setName('');
+    setFiles([]);
+    setReadError(null);
+  };
+
+  // Validate each mapped file against its layer kind. This walks every feature, so it
+  // only reruns when files are added or remapped, not on each keystroke in the name.
+  const rows = useMemo(() => files.map(f => {
+    if (f.parseError) return { ...f, errors: [f.parseError], warnings: [] };
+    if (!f.kind) return { ...f, errors: [], warnings: [] };
+    return { ...f, ...validateLayer(f.geojson, f.kind) };
+  }), [files]);
+
+  if (!isOpen) return null;
+
+  const kindCounts = {};
+  rows.forEach(r => { if (r.kind) kindCounts[r.kind] = (kindCounts[r.kind] || 0) + 1; });
+  const problems = [];
+  Object.entries(LAYER_KINDS).forEach(([kind, spec]) => {
+    if (spec.required && !kindCounts[kind]) problems.push(`Map one file as ${spec.label}`);
+    if (kindCounts[kind] > 1) problems.push(`Only one file can be ${spec.label}`);
+  });
+  const hasErrors = rows.some(r => r.kind && r.errors.length > 0);
+  const canImport = name.trim() && problems.length === 0 && !hasErrors && !isReading;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canImport) return;
+    const layers = {};
+    rows.forEach(r => { if (r.kind) layers[r.kind] = r.geojson; });
+    onImport({ name: name.trim(), layers });
+    reset();
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content import-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>📂 Import Project Layout</h2>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <form onSubmit={handleSubmit} onKeyDown={(e) => e.stopPropagation()}>
+          <div className="form-group">
+            <label htmlFor="projectName">Site Name</label>
+            <input
+              type="text"
+              id="projectName"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g. Solar Farm North"
+              required
+            />
+          </div>
+
+          <div
+            className={`drop-zone ${isDragOver ? 'drag-over' : ''}`}
+            onDragOver={(e) => { e.preventDefault(); setIsDragOver(true); }}
+            onDragLeave={() => setIsDragOver(false)}
+            onDrop={(e) => {
+              e.preventDefault();
+              setIsDragOver(false);
+              addFiles(Array.from(e.dataTransfer.files));
+            }}
+          >
+            <span>Drop the layer files (.geojson) or a .zip here, or</span>
+            <input
+              type="file"
+              multiple
+              accept=".geojson,.json,.zip"
+              onChange={(e) => {
+                addFiles(Array.from(e.target.files));
+                e.target.value = '';
+              }}
+            />
+          </div>
+          {isReading && <div className="import-note">Reading files…</div>}
+          {readError && <div className="import-error">{readError}</div>}
+
+          {rows.length > 0 && (
+            <table className="import-files">
+              <thead>
+                <tr>
+                  <th>File</th>
+                  <th>Layer</th>
+                  <th>Check</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r, i) => (
+                  <tr key={`${r.fileName}-${i}`}>
+                    <td>{r.fileName}</td>
+                    <td>
+                      <select value={r.kind || ''} onChange={(e) => setKind(i, e.target.value)}>
+                        <option value="">Ignore</option>
+                        {Object.entries(LAYER_KINDS).map(([kind, spec]) => (
+                          <option key={kind} value={kind}>{spec.label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      {!r.kind && !r.parseError && <span className="import-note">ignored</span>}
+                      {r.kind && r.errors.length === 0 && (
+                        <span className="import-ok">✓ {r.geojson.features.length} features</span>
+                      )}
+                      {r.errors.map(msg => <div key={msg} className="import-error">{msg}</div>)}
+                      {r.warnings.map(msg => <div key={msg} className="import-warning">{msg}</div>)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {rows.length > 0 && problems.map(msg => (
+            <div key={msg} className="import-error">{msg}</div>
+          ))}
+
+          <div className="modal-actions">
+            <button type="button" className="btn-cancel" onClick={() => { reset(); onClose(); }}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-submit" disabled={!canImport}>
+              Import
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
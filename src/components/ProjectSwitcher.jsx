@@ -0,0 +1,38 @@
+import React from 'react';
+import { BUILTIN_PROJECT_ID } from '../utils/layoutLoader';
+
+const IMPORT_OPTION = '__import__';
+
+export default function ProjectSwitcher({ sites, activeProjectId, onSwitch, onImport, onDelete }) {
+  const isBuiltin = activeProjectId === BUILTIN_PROJECT_ID;
+
+  return (
+    <div className="project-switcher">
+      <select
+        value={activeProjectId}
+        onChange={(e) => {
+          if (e.target.value === IMPORT_OPTION) onImport();
+          else onSwitch(e.target.value);
+        }}
+        title="Solar site"
+      >
+        <option value={BUILTIN_PROJECT_ID}>Built-in site</option>
+        {sites.map(site => (
+          <option key={site.id} value={site.id}>
+            {site.name} ({site.panelCount} panels)
+          </option>
+        ))}
+        <option value={IMPORT_OPTION}>➕ Import project…</option>
+      </select>
+      {!isBuiltin && (
+        <button
+          className="project-delete"
+          onClick={() => onDelete(activeProjectId)}
+          title="Delete this site and its progress"
+        >
+          🗑️
+        </button>
+      )}
+    </div>
+  );
+}
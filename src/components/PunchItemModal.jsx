@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import PhotoAttachments from './PhotoAttachments';
+import { PUNCH_CATEGORIES, PUNCH_SEVERITIES, PUNCH_STATUSES, SIDE_LABELS } from '../utils/punchList';
+
+const formatTime = (ms) => (ms ? new Date(ms).toLocaleString() : '-');
+
+// Add / edit one punch-list item. New items are only stored on save, so
+// cancelling a misplaced click leaves nothing behind.
+export default function PunchItemModal({ item, isNew, panelLabel, subcontractors, photos, onAddPhotos, onSave, onDelete, onClose }) {
+  const [fields, setFields] = useState({
+    side: item.side,
+    category: item.category,
+    severity: item.severity,
+    status: item.status,
+    assignee: item.assignee,
+    description: item.description,
+    photoIds: item.photoIds || [],
+  });
+
+  const set = (name) => (e) => setFields(prev => ({ ...prev, [name]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(item, { ...fields, assignee: fields.assignee.trim(), description: fields.description.trim() });
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content punch-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🔧 {isNew ? 'New Punch Item' : 'Punch Item'}</h2>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <form onSubmit={handleSubmit} onKeyDown={(e) => e.stopPropagation()}>
+          <div className="form-group">
+            <label htmlFor="punchSide">Panel {panelLabel || item.panelId}</label>
+            <select id="punchSide" value={fields.side} onChange={set('side')}>
+              {Object.entries(SIDE_LABELS).map(([side, label]) => (
+                <option key={side} value={side}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="punch-form-row">
+            <div className="form-group">
+              <label htmlFor="punchCategory">Category</label>
+              <select id="punchCategory" value={fields.category} onChange={set('category')}>
+                {PUNCH_CATEGORIES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="punchSeverity">Severity</label>
+              <select id="punchSeverity" value={fields.severity} onChange={set('severity')}>
+                {PUNCH_SEVERITIES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="punchStatus">Status</label>
+              <select id="punchStatus" value={fields.status} onChange={set('status')}>
+                {PUNCH_STATUSES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="punchAssignee">Assigned subcontractor</label>
+            <input
+              type="text"
+              id="punchAssignee"
+              list="punchAssignees"
+              value={fields.assignee}
+              onChange={set('assignee')}
+              placeholder="Unassigned"
+            />
+            <datalist id="punchAssignees">
+              {subcontractors.map(name => <option key={name} value={name} />)}
+            </datalist>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="punchDescription">Description</label>
+            <textarea
+              id="punchDescription"
+              value={fields.description}
+              onChange={set('description')}
+              placeholder="What is wrong?"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Photos</label>
+            <PhotoAttachments
+              photoIds={fields.photoIds}
+              photos={photos}
+              onAdd={onAddPhotos}
+              onChange={(photoIds) => setFields(prev => ({ ...prev, photoIds }))}
+            />
+          </div>
+
+          {!isNew && (
+            <div className="punch-timestamps">
+              Opened {formatTime(item.createdAt)} · Updated {formatTime(item.updatedAt)}
+              {item.closedAt && ` · Closed ${formatTime(item.closedAt)}`}
+            </div>
+          )}
+
+          <div className="modal-actions">
+            {!isNew && (
+              <button type="button" className="btn-cancel punch-delete" onClick={() => { onDelete(item.id); onClose(); }}>
+                Delete
+              </button>
+            )}
+            <button type="button" className="btn-cancel" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-submit">
+              {isNew ? 'Add' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useState, useMemo } from 'react';
+import {
+  PUNCH_CATEGORIES, PUNCH_SEVERITIES, PUNCH_STATUSES, SIDE_LABELS,
+  categoryLabel, severityLabel, statusColor, filterPunchItems
+} from '../utils/punchList';
+
+const EMPTY_FILTERS = { status: 'open', category: '', severity: '', assignee: '', text: '' };
+
+// Filterable punch list. Clicking an item shows it on the map; its marker opens the editor.
+export default function PunchListPanel({ items, selectedId, labelOfPanel, onFocusItem, onToggleStatus, onClose }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  const set = (name) => (e) => setFilters(prev => ({ ...prev, [name]: e.target.value }));
+
+  const assignees = useMemo(
+    () => [...new Set(items.map(item => item.assignee).filter(Boolean))].sort(),
+    [items]
+  );
+
+  // Newest first
+  const visible = useMemo(
+    () => filterPunchItems(items, filters, labelOfPanel).sort((a, b) => b.createdAt - a.createdAt),
+    [items, filters, labelOfPanel]
+  );
+  const openCount = items.filter(item => item.status === 'open').length;
+
+  return (
+    <div className="progress-tree punch-list">
+      <div className="progress-tree-header">
+        <strong>Punch List · {openCount} open / {items.length}</strong>
+        <button className="modal-close" onClick={onClose}>✕</button>
+      </div>
+
+      <div className="punch-filters" onKeyDown={(e) => e.stopPropagation()}>
+        <input type="text" value={filters.text} onChange={set('text')} placeholder="Search description, panel, assignee…" />
+        <select value={filters.status} onChange={set('status')}>
+          <option value="">Any status</option>
+          {PUNCH_STATUSES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <select value={filters.category} onChange={set('category')}>
+          <option value="">Any category</option>
+          {PUNCH_CATEGORIES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <select value={filters.severity} onChange={set('severity')}>
+          <option value="">Any severity</option>
+          {PUNCH_SEVERITIES.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <select value={filters.assignee} onChange={set('assignee')}>
+          <option value="">Anyone</option>
+          {assignees.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+      </div>
+
+      <div className="progress-tree-body">
+        {visible.length === 0 && <div className="punch-empty">No matching items</div>}
+        {visible.map(item => (
+          <div
+            key={item.id}
+            className={`punch-row ${item.id === selectedId ? 'selected' : ''}`}
+            onClick={() => onFocusItem(item)}
+          >
+            <span className="punch-status-dot" style={{ background: statusColor(item.status) }} />
+            <div className="punch-row-main">
+              <div>
+                <strong>{categoryLabel(item.category)}</strong>
+                <span className={`punch-severity severity-${item.severity}`}>{severityLabel(item.severity)}</span>
+              </div>
+              <div className="punch-row-meta">
+                {labelOfPanel(item.panelId) || item.panelId} · {SIDE_LABELS[item.side]}
+                {item.assignee && ` · ${item.assignee}`}
+                {item.photoIds?.length > 0 && ` · 📷 ${item.photoIds.length}`}
+                {' · '}{new Date(item.createdAt).toLocaleDateString()}
+              </div>
+              {item.description && <div className="punch-row-meta">{item.description}</div>}
+            </div>
+            <button
+              className="punch-toggle"
+              title={item.status === 'open' ? 'Close item' : 'Reopen item'}
+              onClick={(e) => {
+                e.stopPropagation();
+                onToggleStatus(item);
+              }}
+            >
+              {item.status === 'open' ? '✓' : '↺'}
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import React, { memo } from 'react';
+import { punchItemPosition, statusColor } from '../utils/punchList';
+
+// Square markers for punch-list items, coloured by status and sized like the note
+// markers so they stay clickable at any zoom. High severity gets a thicker outline.
+const PunchMarkerLayer = memo(({ items, panelGeometry, viewBoxWidth, selectedId, onSelect }) => {
+  const zoomFactor = 1200 / viewBoxWidth;
+  const size = Math.max(1.2, 3.2 / Math.sqrt(zoomFactor));
+
+  return (
+    <g>
+      {items.map(item => {
+        const geometry = panelGeometry.byId.get(item.panelId);
+        if (!geometry) return null;
+        const { x, y } = punchItemPosition(item, geometry);
+        const s = item.id === selectedId ? size * 1.4 : size;
+        return (
+          <rect
+            key={item.id}
+            className="punch-marker"
+            x={x - s / 2}
+            y={y - s / 2}
+            width={s}
+            height={s}
+            transform={`rotate(45 ${x} ${y})`}
+            fill={statusColor(item.status)}
+            stroke="#0f172a"
+            strokeWidth={s * (item.severity === 'high' ? 0.25 : 0.1)}
+            onMouseDown={(e) => e.stopPropagation()}
+            onClick={(e) => {
+              e.stopPropagation();
+              onSelect(item);
+            }}
+          />
+        );
+      })}
+    </g>
+  );
+});
+
+export default PunchMarkerLayer;
@@ -0,0 +1,34 @@
+import React, { useState, useEffect } from 'react';
+import { niceLength, formatMeters } from '../utils/projection';
+
+const MAX_BAR_PX = 120;
+
+// Metric scale bar for the map. The SVG keeps its aspect ratio ("meet"), so the
+// pixels per canvas unit are set by whichever side of the viewBox fits tighter.
+export default function ScaleBar({ svgRef, viewBox, metersPerUnit }) {
+  const [svgSize, setSvgSize] = useState(null);
+
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setSvgSize({ width, height });
+    });
+    observer.observe(svg);
+    return () => observer.disconnect();
+  }, [svgRef]);
+
+  if (!svgSize || !svgSize.width || !metersPerUnit) return null;
+
+  const pxPerUnit = Math.min(svgSize.width / viewBox.width, svgSize.height / viewBox.height);
+  const metersPerPx = metersPerUnit / pxPerUnit;
+  const meters = niceLength(MAX_BAR_PX * metersPerPx);
+
+  return (
+    <div className="scale-bar">
+      <div className="scale-bar-line" style={{ width: meters / metersPerPx }} />
+      <span>{formatMeters(meters)}</span>
+    </div>
+  );
+}
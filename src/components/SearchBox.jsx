@@ -0,0 +1,85 @@
+import React, { useState, useMemo } from 'react';
+import { searchTargets } from '../utils/panelSearch';
+
+const LEVEL_LABELS = { tx: 'Transformer', inv: 'Inverter', str: 'String' };
+
+export default function SearchBox({ index, results, activeResult, onSearch, onStep, onClear }) {
+  const [query, setQuery] = useState('');
+  const [committedQuery, setCommittedQuery] = useState(null);
+  const [isListOpen, setIsListOpen] = useState(false);
+
+  const suggestions = useMemo(() => searchTargets(index, query), [index, query]);
+
+  const commit = (active = -1) => {
+    setCommittedQuery(query);
+    setIsListOpen(false);
+    onSearch(suggestions, active);
+  };
+
+  const clear = () => {
+    setQuery('');
+    setCommittedQuery(null);
+    setIsListOpen(false);
+    onClear();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      // First Enter shows all matches, further Enters jump through them one by one
+      if (committedQuery === query && results.length > 0) onStep(e.shiftKey ? -1 : 1);
+      else commit();
+    }
+    if (e.key === 'Escape') {
+      clear();
+      e.target.blur();
+    }
+  };
+
+  const hasResults = committedQuery === query && results.length > 0;
+
+  return (
+    <div className="search-box" onKeyDown={(e) => e.stopPropagation()}>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsListOpen(true);
+        }}
+        onFocus={() => setIsListOpen(true)}
+        onBlur={() => setIsListOpen(false)}
+        onKeyDown={handleKeyDown}
+        placeholder="Find string / inverter…"
+      />
+      {hasResults && (
+        <div className="search-nav">
+          <button onClick={() => onStep(-1)} title="Previous (Shift+Enter)">◀</button>
+          <span>{activeResult < 0 ? `${results.length} found` : `${activeResult + 1} / ${results.length}`}</span>
+          <button onClick={() => onStep(1)} title="Next (Enter)">▶</button>
+        </div>
+      )}
+      {query && (
+        <button className="search-clear" onClick={clear} title="Clear search">✕</button>
+      )}
+      {isListOpen && query && (
+        <ul className="search-results">
+          {suggestions.length === 0 && <li className="search-empty">No matches</li>}
+          {suggestions.map((target, i) => (
+            <li
+              key={target.id}
+              // mousedown so the pick lands before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                commit(i);
+              }}
+            >
+              <span>{target.label}</span>
+              <span className="search-level">{LEVEL_LABELS[target.level]} · {target.panelIds.length}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
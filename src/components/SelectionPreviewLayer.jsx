@@ -0,0 +1,40 @@
+import React, { memo, useMemo } from 'react';
+import { circlePath } from '../utils/panelGeometry';
+
+const CLEAR_COLOR = '#e74c3c';
+
+// Outlines of what a selection in progress would change, coloured by the state it
+// would get: rings around panel ends, or the panel outline for per-panel stages.
+// One path per target state, like PanelBlockLayer.
+const SelectionPreviewLayer = memo(({ changes, stageStyles }) => {
+  const paths = useMemo(() => {
+    const byTarget = {};
+    changes.forEach(({ geometry, side, to }) => {
+      const key = to || 'clear';
+      if (!byTarget[key]) byTarget[key] = [];
+      if (side === 'panel') {
+        byTarget[key].push(`M${geometry.pointsStr}Z`);
+      } else {
+        const pos = side === 'left' ? geometry.leftPos : geometry.rightPos;
+        byTarget[key].push(circlePath(pos, geometry.endRadius * 1.6));
+      }
+    });
+    return Object.entries(byTarget).map(([key, segments]) => [key, segments.join('')]);
+  }, [changes]);
+
+  return (
+    <g pointerEvents="none">
+      {paths.map(([key, d]) => (
+        <path
+          key={key}
+          d={d}
+          fill="none"
+          stroke={key === 'clear' ? CLEAR_COLOR : stageStyles[key]?.fill}
+          strokeWidth={0.4}
+        />
+      ))}
+    </g>
+  );
+});
+
+export default SelectionPreviewLayer;
@@ -0,0 +1,20 @@
+import React from 'react';
+import { SELECTION_TOOLS } from '../utils/selectionTools';
+
+// Toolbar buttons choosing how the map picks panels
+export default function SelectionTools({ tool, onChange }) {
+  return (
+    <div className="selection-tools">
+      {SELECTION_TOOLS.map(({ id, icon, label }) => (
+        <button
+          key={id}
+          className={`tool-btn ${tool === id ? 'active' : ''}`}
+          onClick={() => onChange(id)}
+          title={`Select: ${label}`}
+        >
+          {icon}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import React from 'react';
+
+// Toolbar buttons for the status tools built by utils/statusTools.js
+export default function StatusTools({ tools, tool, onChange }) {
+  const active = tools.find(t => t.id === tool);
+
+  return (
+    <div className="status-tools">
+      {tools.map(({ id, label, shortcut, swatch, isPanelStage, icon }) => (
+        <button
+          key={id}
+          className={`tool-btn ${tool === id ? 'active' : ''}`}
+          onClick={() => onChange(id)}
+          title={shortcut ? `${label} (${shortcut})` : label}
+        >
+          {swatch ? (
+            <span
+              className={`status-swatch ${isPanelStage ? 'panel-stage' : ''}`}
+              style={{ background: swatch.fill, borderColor: swatch.stroke }}
+            />
+          ) : icon}
+        </button>
+      ))}
+      <span className="status-tool-label">{active?.label}</span>
+    </div>
+  );
+}
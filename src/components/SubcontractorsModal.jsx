@@ -0,0 +1,249 @@
+import React, { useState, useMemo } from 'react';
+import {
+  createSubcontractor, suggestCode, validateSubcontractor, listedSubcontractors, unlinkedNames
+} from '../utils/subcontractors';
+
+// Registry of subcontractors, plus a clean-up of the free-text names in this site's
+// daily log: each spelling is linked to a registry entry (or a new one is created).
+export default function SubcontractorsModal({ subcontractors, dailyLog, onSave, onMerge, onLinkNames, onClose }) {
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+  const [mergeTarget, setMergeTarget] = useState('');
+  // Chosen registry id per unlinked name group ('new' creates an entry)
+  const [linkTargets, setLinkTargets] = useState({});
+
+  const listed = useMemo(() => listedSubcontractors(subcontractors), [subcontractors]);
+  const unlinked = useMemo(() => unlinkedNames(dailyLog, subcontractors), [dailyLog, subcontractors]);
+  const recordCounts = useMemo(() => {
+    const counts = {};
+    dailyLog.forEach(record => {
+      if (record.subcontractor_id) counts[record.subcontractor_id] = (counts[record.subcontractor_id] || 0) + 1;
+    });
+    return counts;
+  }, [dailyLog]);
+
+  const isNew = editing && !subcontractors.some(sub => sub.id === editing.id);
+
+  const set = (name) => (e) => setEditing(prev => ({
+    ...prev,
+    [name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value
+  }));
+
+  // New entries get a code suggested from the name as it is typed
+  const setName = (e) => {
+    const name = e.target.value;
+    setEditing(prev => ({
+      ...prev,
+      name,
+      code: isNew ? suggestCode(name, subcontractors.map(sub => sub.code)) : prev.code
+    }));
+  };
+
+  const startEdit = (sub) => {
+    setEditing(sub);
+    setError(null);
+    setMergeTarget('');
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const sub = {
+      ...editing,
+      name: editing.name.trim().replace(/\s+/g, ' '),
+      code: editing.code.trim().toUpperCase(),
+      contactName: editing.contactName.trim(),
+      phone: editing.phone.trim(),
+      email: editing.email.trim(),
+      defaultCrewSize: Math.max(1, parseInt(editing.defaultCrewSize) || 1),
+    };
+    const problem = validateSubcontractor(sub, subcontractors);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    try {
+      onSave(sub);
+    } catch (err) {
+      setError(`Could not save the registry: ${err.message}`);
+      return;
+    }
+    setEditing(null);
+  };
+
+  const handleMerge = () => {
+    const target = listed.find(sub => sub.id === mergeTarget);
+    if (!target) return;
+    if (!window.confirm(`Merge "${editing.name}" into "${target.name}"? Its records will be credited to ${target.name}.`)) return;
+    try {
+      onMerge(editing, target);
+    } catch (err) {
+      setError(`Could not save the registry: ${err.message}`);
+      return;
+    }
+    setEditing(null);
+  };
+
+  // Link groups of spellings to their chosen entries, creating new entries where
+  // asked. Entries created for earlier groups are visible to later ones, so two
+  // new companies can't get the same code.
+  const linkGroups = (groups) => {
+    let registry = subcontractors;
+    const links = groups.map(group => {
+      const choice = linkTargets[group.key] ?? (group.match ? group.match.id : 'new');
+      let target = registry.find(sub => sub.id === choice);
+      if (!target) {
+        target = createSubcontractor(group.names[0], registry);
+        registry = [...registry, target];
+      }
+      return { names: group.names, target };
+    });
+    onLinkNames(links);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content subcontractors-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🏢 Subcontractors</h2>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        {editing ? (
+          <form onSubmit={handleSave} onKeyDown={(e) => e.stopPropagation()}>
+            <div className="punch-form-row">
+              <div className="form-group">
+                <label htmlFor="subName">Name</label>
+                <input type="text" id="subName" value={editing.name} onChange={setName} required />
+              </div>
+              <div className="form-group">
+                <label htmlFor="subCode">Code</label>
+                <input type="text" id="subCode" value={editing.code} onChange={set('code')} maxLength={6} required />
+              </div>
+              <div className="form-group">
+                <label htmlFor="subCrew">Default crew size</label>
+                <input type="number" id="subCrew" min="1" value={editing.defaultCrewSize} onChange={set('defaultCrewSize')} />
+              </div>
+            </div>
+            <div className="punch-form-row">
+              <div className="form-group">
+                <label htmlFor="subContact">Contact person</label>
+                <input type="text" id="subContact" value={editing.contactName} onChange={set('contactName')} />
+              </div>
+              <div className="form-group">
+                <label htmlFor="subPhone">Phone</label>
+                <input type="tel" id="subPhone" value={editing.phone} onChange={set('phone')} />
+              </div>
+              <div className="form-group">
+                <label htmlFor="subEmail">Email</label>
+                <input type="email" id="subEmail" value={editing.email} onChange={set('email')} />
+              </div>
+            </div>
+            <label className="subcontractor-active">
+              <input type="checkbox" checked={editing.active} onChange={set('active')} />
+              Active (offered when submitting daily work)
+            </label>
+
+            {!isNew && (
+              <div className="subcontractor-merge">
+                <span>Duplicate of</span>
+                <select value={mergeTarget} onChange={(e) => setMergeTarget(e.target.value)}>
+                  <option value="">Choose subcontractor…</option>
+                  {listed.filter(sub => sub.id !== editing.id).map(sub => (
+                    <option key={sub.id} value={sub.id}>{sub.name}</option>
+                  ))}
+                </select>
+                <button type="button" className="punch-toggle" disabled={!mergeTarget} onClick={handleMerge}>
+                  Merge
+                </button>
+              </div>
+            )}
+
+            {error && <div className="import-error">{error}</div>}
+
+            <div className="modal-actions">
+              <button type="button" className="btn-cancel" onClick={() => setEditing(null)}>
+                Back
+              </button>
+              <button type="submit" className="btn-submit">
+                Save
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <div className="history-table">
+              {listed.length === 0 && (
+                <div className="history-empty">No subcontractors registered yet.</div>
+              )}
+              {listed.length > 0 && (
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Code</th>
+                      <th>Name</th>
+                      <th>Contact</th>
+                      <th>Crew</th>
+                      <th>Records</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {listed.map(sub => (
+                      <tr
+                        key={sub.id}
+                        className={`subcontractor-row ${sub.active ? '' : 'inactive'}`}
+                        onClick={() => startEdit(sub)}
+                      >
+                        <td><strong>{sub.code}</strong></td>
+                        <td>{sub.name}{!sub.active && ' (inactive)'}</td>
+                        <td>{[sub.contactName, sub.phone, sub.email].filter(Boolean).join(' · ') || '-'}</td>
+                        <td>{sub.defaultCrewSize}</td>
+                        <td>{recordCounts[sub.id] || 0}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            {unlinked.length > 0 && (
+              <div className="subcontractor-unlinked">
+                <div className="subcontractor-unlinked-header">
+                  <strong>Unlinked names in this site's daily log</strong>
+                  <button type="button" className="punch-toggle" onClick={() => linkGroups(unlinked)}>
+                    Link all
+                  </button>
+                </div>
+                {unlinked.map(group => (
+                  <div key={group.key} className="subcontractor-unlinked-row">
+                    <span className="subcontractor-names">
+                      {group.names.map(name => `"${name}"`).join(', ')} · {group.count} records
+                    </span>
+                    <select
+                      value={linkTargets[group.key] ?? (group.match ? group.match.id : 'new')}
+                      onChange={(e) => setLinkTargets(prev => ({ ...prev, [group.key]: e.target.value }))}
+                    >
+                      <option value="new">New: {group.names[0].trim()}</option>
+                      {listed.map(sub => <option key={sub.id} value={sub.id}>{sub.name}</option>)}
+                    </select>
+                    <button type="button" className="punch-toggle" onClick={() => linkGroups([group])}>
+                      Link
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="modal-actions">
+              <button type="button" className="btn-cancel" onClick={onClose}>
+                Close
+              </button>
+              <button type="button" className="btn-submit" onClick={() => startEdit(createSubcontractor('', subcontractors))}>
+                Add Subcontractor
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
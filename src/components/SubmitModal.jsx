@@ -1,39 +1,115 @@
 import React, { useState } from 'react';
+import { countChanges, dayRange } from '../utils/changeLog';
+import { createSubcontractor, findByName, listedSubcontractors } from '../utils/subcontractors';
+import { findDuplicate } from '../utils/dailyLog';
 
-export default function SubmitModal({ isOpen, onClose, onSubmit, dailyInstalled }) {
-  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
-  const [subcontractor, setSubcontractor] = useState('');
+const NEW_SUBCONTRACTOR = 'new';
+
+// Local YYYY-MM-DD, so the default date matches the local-day window used for counting
+const today = () => {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// Records reference the registry entry by id; a company not registered yet can be
+// added from here and is created on submit.
+export default function SubmitModal({ isOpen, onClose, onSubmit, dailyLog, changeLog, lastSubmittedAt, workflow, subcontractors, onCreateSubcontractor }) {
+  const [date, setDate] = useState(today());
+  const [subcontractorId, setSubcontractorId] = useState('');
+  const [newName, setNewName] = useState('');
   const [workers, setWorkers] = useState(1);
+  // 'since_last': changes since the previous submission, 'date': changes made on the chosen date
+  const [countMode, setCountMode] = useState('since_last');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const getPeriod = (now) => (
+    countMode === 'date'
+      ? dayRange(date)
+      : { from: lastSubmittedAt ?? -Infinity, to: now }
+  );
+
+  const active = listedSubcontractors(subcontractors).filter(sub => sub.active);
+
+  const close = () => {
+    setError(null);
+    onClose();
+  };
+
+  const selectSubcontractor = (id) => {
+    setSubcontractorId(id);
+    const sub = subcontractors.find(entry => entry.id === id);
+    if (sub) setWorkers(sub.defaultCrewSize);
+  };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
+    if (isSaving || (subcontractorId === NEW_SUBCONTRACTOR && !newName.trim())) return;
+    
+    const period = getPeriod(Date.now());
+    
+    // A typed name that is already registered (even if inactive) reuses that entry
+    let sub = subcontractors.find(entry => entry.id === subcontractorId);
+    if (subcontractorId === NEW_SUBCONTRACTOR) {
+      sub = findByName(subcontractors, newName);
+      if (!sub) {
+        sub = createSubcontractor(newName, subcontractors);
+        onCreateSubcontractor(sub);
+      }
+    }
     
     const record = {
       date,
-      installed_panels: dailyInstalled,
-      subcontractor,
+      // Net units per workflow stage, see utils/workflow.js
+      stage_counts: countChanges(changeLog, workflow, period),
+      subcontractor_id: sub.id,
+      // Name at submission, kept so the record reads the same without the registry
+      subcontractor: sub.name,
       workers: parseInt(workers) || 1,
+      count_mode: countMode,
+      period_from: Number.isFinite(period.from) ? new Date(period.from).toISOString() : null,
+      period_to: new Date(period.to).toISOString(),
     };
     
-    onSubmit(record);
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onSubmit(record);
+    } catch (err) {
+      console.error('Error submitting daily work:', err);
+      setError(`Could not save the submission: ${err.message}`);
+      return;
+    } finally {
+      setIsSaving(false);
+    }
     
     // Reset form
-    setSubcontractor('');
+    setSubcontractorId('');
+    setNewName('');
     setWorkers(1);
-    onClose();
+    close();
   };
 
   if (!isOpen) return null;
 
+  const delta = countChanges(changeLog, workflow, getPeriod(Infinity));
+
+  // Warn before a second submission for the same day and company
+  const chosen = subcontractorId === NEW_SUBCONTRACTOR
+    ? findByName(subcontractors, newName) || { id: null, name: newName }
+    : subcontractors.find(sub => sub.id === subcontractorId);
+  const duplicate = chosen && findDuplicate(dailyLog, { date, subcontractor_id: chosen.id, subcontractor: chosen.name });
+
   return (
-    <div className="modal-overlay" onClick={onClose}>
+    <div className="modal-overlay" onClick={close}>
       <div className="modal-content" onClick={(e) => e.stopPropagation()}>
         <div className="modal-header">
           <h2>📋 Submit Daily Work</h2>
-          <button className="modal-close" onClick={onClose}>✕</button>
+          <button className="modal-close" onClick={close}>✕</button>
         </div>
         
-        <form onSubmit={handleSubmit}>
+        <form onSubmit={handleSubmit} onKeyDown={(e) => e.stopPropagation()}>
           <div className="form-group">
             <label htmlFor="date">Date</label>
             <input
@@ -47,14 +123,27 @@ export default function SubmitModal({ isOpen, onClose, onSubmit, dailyInstalled
           
           <div className="form-group">
             <label htmlFor="subcontractor">Subcontractor</label>
-            <input
-              type="text"
+            <select
               id="subcontractor"
-              value={subcontractor}
-              onChange={(e) => setSubcontractor(e.target.value)}
-              placeholder="Enter subcontractor name"
+              value={subcontractorId}
+              onChange={(e) => selectSubcontractor(e.target.value)}
               required
-            />
+            >
+              <option value="" disabled>Choose subcontractor…</option>
+              {active.map(sub => (
+                <option key={sub.id} value={sub.id}>{sub.name} ({sub.code})</option>
+              ))}
+              <option value={NEW_SUBCONTRACTOR}>➕ New subcontractor…</option>
+            </select>
+            {subcontractorId === NEW_SUBCONTRACTOR && (
+              <input
+                type="text"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="Enter subcontractor name"
+                required
+              />
+            )}
           </div>
           
           <div className="form-group">
@@ -70,18 +159,46 @@ export default function SubmitModal({ isOpen, onClose, onSubmit, dailyInstalled
           </div>
           
           <div className="form-group">
-            <label>Daily Installed (MC4)</label>
-            <div className="daily-installed-display">
-              <strong>{dailyInstalled}</strong> ends completed
-            </div>
+            <label htmlFor="countMode">Count Changes</label>
+            <select
+              id="countMode"
+              value={countMode}
+              onChange={(e) => setCountMode(e.target.value)}
+            >
+              <option value="since_last">
+                {lastSubmittedAt
+                  ? `Since last submission (${new Date(lastSubmittedAt).toLocaleString()})`
+                  : 'Since last submission (none yet - all changes)'}
+              </option>
+              <option value="date">Made on the selected date</option>
+            </select>
           </div>
           
+          <div className="form-group">
+            <label>Daily Progress</label>
+            {workflow.map((stage, i) => (
+              <div key={stage.id} className={i === 0 ? 'daily-installed-display' : 'daily-installed-secondary'}>
+                {stage.name}: <strong>{delta[stage.id]}</strong> {stage.scope === 'end' ? 'ends' : 'panels'}
+              </div>
+            ))}
+          </div>
+          
+          {duplicate && (
+            <div className="history-warning">
+              ⚠️ {chosen.name} already has a submission for {date}
+              {duplicate.submitted_at && ` (sent ${new Date(duplicate.submitted_at).toLocaleString()})`}.
+              Correct that record in the history instead, unless this is a separate shift.
+            </div>
+          )}
+          
+          {error && <div className="import-error">{error}</div>}
+          
           <div className="modal-actions">
-            <button type="button" className="btn-cancel" onClick={onClose}>
+            <button type="button" className="btn-cancel" onClick={close}>
               Cancel
             </button>
-            <button type="submit" className="btn-submit">
-              Submit
+            <button type="submit" className="btn-submit" disabled={isSaving}>
+              {isSaving ? 'Saving…' : duplicate ? 'Submit Anyway' : 'Submit'}
             </button>
           </div>
         </form>
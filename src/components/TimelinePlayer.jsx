@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import JSZip from 'jszip';
+import { statesAt, timelineSteps, drawFrame } from '../utils/timeline';
+import { countStages } from '../utils/workflow';
+
+const FRAME_WIDTH = 1280;
+const SPEEDS = [1, 2, 4, 8]; // frames per second
+
+const formatDate = (ms) => new Date(ms).toLocaleDateString();
+
+const download = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const canvasBlob = (canvas) => new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+// Playback bar: scrub or play through the project day by day or week by week. The
+// map shows the state at the chosen time; export renders the same frames, over the
+// area currently in view, to a WebM video or a ZIP of PNG frames.
+export default function TimelinePlayer({ changeLog, panelStates, geometries, stageStyles, workflow, viewBox, at, onSeek, onClose }) {
+  const [step, setStep] = useState('week');
+  const [speed, setSpeed] = useState(2);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [exportProgress, setExportProgress] = useState(null);
+
+  const steps = useMemo(() => timelineSteps(changeLog, step), [changeLog, step]);
+  // Frame shown: the first step at or after the current time
+  const found = steps.findIndex(t => t >= at);
+  const index = found === -1 ? steps.length - 1 : found;
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (index >= steps.length - 1) {
+      setIsPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => onSeek(steps[index + 1]), 1000 / speed);
+    return () => clearTimeout(timer);
+  }, [isPlaying, index, steps, speed, onSeek]);
+
+  const caption = (t, states) => {
+    const totals = countStages(workflow, geometries.map(g => g.panelId), states);
+    const label = step === 'week' ? `Week ending ${formatDate(t)}` : formatDate(t);
+    return `${label}\n${workflow.map(stage => `${stage.name} ${totals[stage.id].completed}`).join(' · ')}`;
+  };
+
+  // Draw every frame onto one canvas, handing each to `onFrame` once drawn
+  const renderFrames = async (canvas, onFrame) => {
+    const ctx = canvas.getContext('2d');
+    for (let i = 0; i < steps.length; i++) {
+      const states = statesAt(panelStates, changeLog, steps[i]);
+      drawFrame(ctx, {
+        geometries, states, stageStyles, viewBox,
+        width: canvas.width, height: canvas.height,
+        caption: caption(steps[i], states),
+      });
+      await onFrame(i);
+      setExportProgress(`${i + 1} / ${steps.length}`);
+    }
+  };
+
+  const makeCanvas = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = FRAME_WIDTH;
+    // Even height: some video encoders reject odd frame sizes
+    canvas.height = Math.round(FRAME_WIDTH * viewBox.height / viewBox.width / 2) * 2;
+    return canvas;
+  };
+
+  const exportVideo = async () => {
+    if (typeof MediaRecorder === 'undefined') {
+      alert('This browser cannot record video; export frames instead.');
+      return;
+    }
+    const canvas = makeCanvas();
+    // Frames are pushed by hand so each one lasts exactly 1 / speed seconds
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType: 'video/webm' });
+    const chunks = [];
+    recorder.ondataavailable = (e) => chunks.push(e.data);
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    setExportProgress('0');
+    try {
+      recorder.start();
+      await renderFrames(canvas, async () => {
+        track.requestFrame();
+        await new Promise(resolve => setTimeout(resolve, 1000 / speed));
+      });
+      recorder.stop();
+      await stopped;
+      download(new Blob(chunks, { type: 'video/webm' }), `progress-${step}ly.webm`);
+    } catch (err) {
+      alert(`Could not export the video: ${err.message}`);
+    } finally {
+      setExportProgress(null);
+    }
+  };
+
+  const exportFrames = async () => {
+    const canvas = makeCanvas();
+    const zip = new JSZip();
+    setExportProgress('0');
+    try {
+      await renderFrames(canvas, async (i) => {
+        zip.file(`frame-${String(i + 1).padStart(4, '0')}.png`, await canvasBlob(canvas));
+      });
+      download(await zip.generateAsync({ type: 'blob' }), `progress-${step}ly-frames.zip`);
+    } catch (err) {
+      alert(`Could not export the frames: ${err.message}`);
+    } finally {
+      setExportProgress(null);
+    }
+  };
+
+  const isExporting = exportProgress !== null;
+
+  return (
+    <div className="timeline-player" onKeyDown={(e) => e.stopPropagation()}>
+      <button className="tool-btn" title="First" disabled={isExporting} onClick={() => onSeek(steps[0])}>⏮</button>
+      <button
+        className="tool-btn"
+        title={isPlaying ? 'Pause' : 'Play'}
+        disabled={isExporting}
+        onClick={() => {
+          if (!isPlaying && index >= steps.length - 1) onSeek(steps[0]);
+          setIsPlaying(!isPlaying);
+        }}
+      >
+        {isPlaying ? '⏸' : '▶'}
+      </button>
+      <input
+        type="range"
+        min={0}
+        max={steps.length - 1}
+        value={index}
+        disabled={isExporting}
+        onChange={(e) => {
+          setIsPlaying(false);
+          onSeek(steps[Number(e.target.value)]);
+        }}
+      />
+      <span className="timeline-date">{formatDate(steps[index])}</span>
+      <select value={step} onChange={(e) => setStep(e.target.value)} disabled={isExporting}>
+        <option value="week">Weekly</option>
+        <option value="day">Daily</option>
+      </select>
+      <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} disabled={isExporting} title="Frames per second">
+        {SPEEDS.map(fps => <option key={fps} value={fps}>{fps} fps</option>)}
+      </select>
+      <button className="tool-btn" title="Export WebM video of the area in view" disabled={isExporting} onClick={exportVideo}>🎞️</button>
+      <button className="tool-btn" title="Export PNG frames (ZIP) of the area in view" disabled={isExporting} onClick={exportFrames}>🖼️</button>
+      {isExporting && <span className="timeline-progress">Exporting {exportProgress}…</span>}
+      <button className="modal-close" title="Back to the live map" disabled={isExporting} onClick={onClose}>✕</button>
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { validateWorkflow, makeStageId } from '../utils/workflow';
+
+const NEW_STAGE = { name: '', shortName: '', color: '#64748b', scope: 'panel', cumulative: false };
+
+// Editor for the project's workflow stages. New stages get their id from their name
+// on save; stages still referenced by panels, undo history, the change log or daily
+// records can't be deleted or change scope, so nothing stored points at a missing stage.
+export default function WorkflowModal({ workflow, usedStageIds, onSave, onClose }) {
+  // Draft rows carry a local key, since new stages have no id yet
+  const [draft, setDraft] = useState(() => workflow.map(stage => ({ ...stage, key: stage.id })));
+  const [nextKey, setNextKey] = useState(1);
+
+  const updateStage = (key, fields) => {
+    setDraft(prev => prev.map(stage => stage.key === key ? { ...stage, ...fields } : stage));
+  };
+
+  const moveStage = (index, offset) => {
+    setDraft(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const addStage = () => {
+    setDraft(prev => [...prev, { ...NEW_STAGE, id: null, key: `new-${nextKey}` }]);
+    setNextKey(n => n + 1);
+  };
+
+  const removeStage = (key) => setDraft(prev => prev.filter(stage => stage.key !== key));
+
+  // Final stage list: trimmed names, ids assigned to new stages, draft keys dropped
+  const resolved = draft.reduce((stages, row) => {
+    const stage = { ...row };
+    delete stage.key;
+    const name = stage.name.trim();
+    const id = stage.id || makeStageId(name, [...stages, ...draft.filter(s => s.id)]);
+    return [...stages, { ...stage, id, name, shortName: stage.shortName.trim() || name }];
+  }, []);
+  const errors = validateWorkflow(resolved);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (errors.length > 0) return;
+    onSave(resolved);
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content workflow-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>⚙️ Workflow Stages</h2>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <form onSubmit={handleSubmit} onKeyDown={(e) => e.stopPropagation()}>
+          <table className="workflow-table">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Name</th>
+                <th>Short</th>
+                <th>Colour</th>
+                <th>Applies to</th>
+                <th title="Later stages of the same scope also count towards this one">Cumulative</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {draft.map((stage, i) => {
+                const isUsed = stage.id && usedStageIds.has(stage.id);
+                return (
+                  <tr key={stage.key}>
+                    <td className="workflow-order">
+                      <button type="button" onClick={() => moveStage(i, -1)} disabled={i === 0} title="Move up">▲</button>
+                      <button type="button" onClick={() => moveStage(i, 1)} disabled={i === draft.length - 1} title="Move down">▼</button>
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        value={stage.name}
+                        onChange={(e) => updateStage(stage.key, { name: e.target.value })}
+                        placeholder="Stage name"
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        className="workflow-short"
+                        value={stage.shortName}
+                        onChange={(e) => updateStage(stage.key, { shortName: e.target.value })}
+                        placeholder={stage.name.trim()}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="color"
+                        value={stage.color}
+                        onChange={(e) => updateStage(stage.key, { color: e.target.value })}
+                      />
+                    </td>
+                    <td>
+                      <select
+                        value={stage.scope}
+                        onChange={(e) => updateStage(stage.key, { scope: e.target.value })}
+                        disabled={isUsed}
+                        title={isUsed ? 'This stage is in use by panels, history or daily records' : undefined}
+                      >
+                        <option value="end">Each end</option>
+                        <option value="panel">Whole panel</option>
+                      </select>
+                    </td>
+                    <td className="workflow-center">
+                      <input
+                        type="checkbox"
+                        checked={stage.cumulative}
+                        onChange={(e) => updateStage(stage.key, { cumulative: e.target.checked })}
+                      />
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        onClick={() => removeStage(stage.key)}
+                        disabled={isUsed}
+                        title={isUsed ? 'This stage is in use by panels, history or daily records' : 'Delete stage'}
+                      >
+                        🗑️
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <button type="button" className="workflow-add" onClick={addStage}>+ Add stage</button>
+
+          {errors.map(error => (
+            <div key={error} className="import-error">{error}</div>
+          ))}
+
+          <div className="modal-actions">
+            <button type="button" className="btn-cancel" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-submit" disabled={errors.length > 0}>
+              Save
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
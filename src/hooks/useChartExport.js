@@ -2,182 +2,267 @@ import { useCallback } from "react";
 import ExcelJS from "exceljs";
 import Chart from "chart.js/auto";
 import ChartDataLabels from "chartjs-plugin-datalabels";
+import { recordStageCount } from "../utils/workflow";
 
 // Register the datalabels plugin
 Chart.register(ChartDataLabels);
 
-export default function useChartExport() {
-  const exportToExcel = useCallback(async (dailyLog) => {
-    if (!dailyLog || dailyLog.length === 0) {
-      alert("No data to export. Please submit daily work first.");
-      return;
-    }
+// Photo thumbnails in the notes sheet: at most this size, one per column
+const PHOTO_CELL_WIDTH = 120;
+const PHOTO_CELL_HEIGHT = 90;
+
+const formatTime = (ms) => (ms ? new Date(ms).toLocaleString() : "");
+
+// Sheet 3 (or the only one): notes and punch items, with their photo thumbnails to the right of each row
+function addNotesSheet(workbook, { notes, punchItems, photos }) {
+  const sheet = workbook.addWorksheet("Notes & Defects");
+  sheet.columns = [
+    { header: "Type", key: "type", width: 10 },
+    { header: "Location", key: "location", width: 26 },
+    { header: "Category", key: "category", width: 20 },
+    { header: "Severity", key: "severity", width: 10 },
+    { header: "Status", key: "status", width: 10 },
+    { header: "Assignee", key: "assignee", width: 20 },
+    { header: "Text", key: "text", width: 40 },
+    { header: "Opened", key: "opened", width: 20 },
+    { header: "Closed", key: "closed", width: 20 },
+    { header: "Photos", key: "photos", width: 8 },
+  ];
+  sheet.getRow(1).font = { bold: true };
+
+  const firstPhotoCol = sheet.columns.length;
+  const rows = [
+    ...punchItems.map((item) => ({
+      type: "Defect",
+      location: item.location,
+      category: item.categoryLabel,
+      severity: item.severityLabel,
+      status: item.status,
+      assignee: item.assignee,
+      text: item.description,
+      opened: formatTime(item.createdAt),
+      closed: formatTime(item.closedAt),
+      photoIds: item.photoIds || [],
+    })),
+    ...notes.map((note) => ({
+      type: "Note",
+      location: note.location,
+      text: note.text,
+      photoIds: note.photoIds || [],
+    })),
+  ];
 
-    // 1. Aggregate data by date
-    const aggregated = {};
-    dailyLog.forEach((record) => {
-      const date = record.date;
-      if (!aggregated[date]) {
-        aggregated[date] = {
-          date,
-          installed_panels: 0,
-          workers: 0,
-          subs: new Set(),
-        };
-      }
-      aggregated[date].installed_panels += record.installed_panels || 0;
-      aggregated[date].workers += record.workers || 0;
-      if (record.subcontractor) {
-        aggregated[date].subs.add(record.subcontractor);
-      }
+  rows.forEach(({ photoIds, ...values }) => {
+    const attached = photoIds.map((id) => photos.get(id)).filter(Boolean);
+    const row = sheet.addRow({ ...values, photos: attached.length || "" });
+    row.alignment = { vertical: "top", wrapText: true };
+    if (attached.length === 0) return;
+
+    // Row height is in points, images in pixels (0.75 pt per px)
+    row.height = PHOTO_CELL_HEIGHT * 0.75;
+    attached.forEach((photo, i) => {
+      const scale = Math.min(PHOTO_CELL_WIDTH / photo.width, PHOTO_CELL_HEIGHT / photo.height, 1);
+      const imageId = workbook.addImage({
+        base64: photo.thumbnail.replace(/^data:image\/jpeg;base64,/, ""),
+        extension: "jpeg",
+      });
+      sheet.getColumn(firstPhotoCol + i + 1).width = PHOTO_CELL_WIDTH / 7;
+      sheet.addImage(imageId, {
+        tl: { col: firstPhotoCol + i, row: row.number - 1 },
+        ext: { width: Math.round(photo.width * scale), height: Math.round(photo.height * scale) },
+      });
     });
+  });
+}
 
-    const sortedData = Object.values(aggregated)
-      .map((row) => {
-        const subsArr = Array.from(row.subs);
-        const subcontractor = subsArr.join(", ");
-        const subInitial = subsArr.length > 0
-          ? subsArr[0].trim().slice(0, 2).toUpperCase()
-          : "";
-        return {
-          ...row,
-          subcontractor,
-          subInitial,
-          subsArr,
-        };
-      })
-      .sort((a, b) => new Date(a.date) - new Date(b.date));
-
-    // 3. Create hidden canvas for chart
-    const canvas = document.createElement("canvas");
-    canvas.width = 800;
-    canvas.height = 400;
-    canvas.style.display = "none";
-    document.body.appendChild(canvas);
-
-    // 4. Create chart
-    const ctx = canvas.getContext("2d");
-    const chart = new Chart(ctx, {
-      type: "bar",
-      data: {
-        labels: sortedData.map((d) => d.date),
-        datasets: [
-          {
-            label: "Installed Panels",
-            data: sortedData.map((d) => d.installed_panels),
-            backgroundColor: "rgba(52, 152, 219, 0.7)",
-            borderColor: "rgba(52, 152, 219, 1)",
-            borderWidth: 1,
+// Sheets 1 and 2: daily totals per stage, and a bar chart of them
+async function addDailyLogSheets(workbook, dailyLog, workflow) {
+  // 1. Aggregate data by date
+  const aggregated = {};
+  dailyLog.forEach((record) => {
+    const date = record.date;
+    if (!aggregated[date]) {
+      aggregated[date] = {
+        date,
+        stages: Object.fromEntries(workflow.map((stage) => [stage.id, 0])),
+        workers: 0,
+        subs: new Map(), // name -> code
+      };
+    }
+    workflow.forEach((stage) => {
+      aggregated[date].stages[stage.id] += recordStageCount(record, stage.id);
+    });
+    aggregated[date].workers += record.workers || 0;
+    if (record.subcontractor) {
+      // Unregistered names fall back to their first two letters
+      const code = record.subcontractor_code || record.subcontractor.trim().slice(0, 2).toUpperCase();
+      aggregated[date].subs.set(record.subcontractor, code);
+    }
+  });
+
+  const sortedData = Object.values(aggregated)
+    .map((row) => {
+      const subsArr = Array.from(row.subs.keys());
+      const subcontractor = subsArr.join(", ");
+      const subInitial = [...new Set(row.subs.values())].join("/");
+      return {
+        ...row,
+        subcontractor,
+        subInitial,
+        subsArr,
+      };
+    })
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  // 3. Create hidden canvas for chart
+  const canvas = document.createElement("canvas");
+  canvas.width = 800;
+  canvas.height = 400;
+  canvas.style.display = "none";
+  document.body.appendChild(canvas);
+
+  // 4. Create chart
+  const ctx = canvas.getContext("2d");
+  const chart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels: sortedData.map((d) => d.date),
+      datasets: workflow.map((stage) => ({
+        label: stage.name,
+        data: sortedData.map((d) => d.stages[stage.id]),
+        backgroundColor: `${stage.color}b3`,
+        borderColor: stage.color,
+        borderWidth: 1,
+      })),
+    },
+    options: {
+      responsive: false,
+      maintainAspectRatio: false,
+      plugins: {
+        title: {
+          display: true,
+          text: "Daily Installation Progress",
+          font: { size: 16 },
+        },
+        datalabels: {
+          // Crew label once per date, above the first stage's bar
+          display: (context) => context.datasetIndex === 0,
+          align: "top",
+          anchor: "end",
+          formatter: (value, context) => {
+            const row = sortedData[context.dataIndex];
+            const label = row.subInitial ? `${row.subInitial}-${row.workers}` : `${row.workers}`;
+            return label;
           },
-        ],
+          font: { size: 10 },
+          color: "#333",
+        },
       },
-      options: {
-        responsive: false,
-        maintainAspectRatio: false,
-        plugins: {
+      scales: {
+        y: {
+          beginAtZero: true,
           title: {
             display: true,
-            text: "Daily Installation Progress",
-            font: { size: 16 },
-          },
-          datalabels: {
-            display: true,
-            align: "top",
-            anchor: "end",
-            formatter: (value, context) => {
-              const row = sortedData[context.dataIndex];
-              const label = row.subInitial ? `${row.subInitial}-${row.workers}` : `${row.workers}`;
-              return label;
-            },
-            font: { size: 10 },
-            color: "#333",
+            text: "Ends / Panels Completed",
           },
         },
-        scales: {
-          y: {
-            beginAtZero: true,
-            title: {
-              display: true,
-              text: "Panels Installed",
-            },
-          },
-          x: {
-            title: {
-              display: true,
-              text: "Date",
-            },
+        x: {
+          title: {
+            display: true,
+            text: "Date",
           },
         },
       },
-      plugins: [ChartDataLabels],
+    },
+    plugins: [ChartDataLabels],
+  });
+
+  // 5. Wait for chart to render and get PNG
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  const chartImage = canvas.toDataURL("image/png");
+
+  // 6. Destroy chart and remove canvas
+  chart.destroy();
+  document.body.removeChild(canvas);
+
+  // Sheet 1: Data
+  const dataSheet = workbook.addWorksheet("Daily Log");
+  dataSheet.columns = [
+    { header: "Date", key: "date", width: 15 },
+    ...workflow.map((stage) => ({ header: stage.name, key: stage.id, width: Math.max(14, stage.name.length + 4) })),
+    { header: "Workers", key: "workers", width: 12 },
+    { header: "Subcontractor", key: "subcontractor", width: 25 },
+  ];
+
+  // Add header styling
+  dataSheet.getRow(1).font = { bold: true };
+  dataSheet.getRow(1).fill = {
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb: "FF3498DB" },
+  };
+  dataSheet.getRow(1).font = { bold: true, color: { argb: "FFFFFFFF" } };
+
+  // Add data rows
+  sortedData.forEach((row) => {
+    dataSheet.addRow({
+      date: row.date,
+      ...row.stages,
+      workers: row.workers,
+      subcontractor: row.subcontractor,
     });
+  });
+
+  // Add totals row
+  const totalRow = dataSheet.addRow({
+    date: "TOTAL",
+    ...Object.fromEntries(workflow.map((stage) => [
+      stage.id,
+      sortedData.reduce((s, r) => s + r.stages[stage.id], 0),
+    ])),
+    workers: sortedData.reduce((s, r) => s + r.workers, 0),
+    subcontractor: "",
+  });
+  totalRow.font = { bold: true };
 
-    // 5. Wait for chart to render and get PNG
-    await new Promise((resolve) => setTimeout(resolve, 100));
-    const chartImage = canvas.toDataURL("image/png");
+  // Sheet 2: Chart
+  const chartSheet = workbook.addWorksheet("Chart");
+  
+  // Convert base64 to buffer
+  const base64Data = chartImage.replace(/^data:image\/png;base64,/, "");
+  const imageId = workbook.addImage({
+    base64: base64Data,
+    extension: "png",
+  });
+
+  chartSheet.addImage(imageId, {
+    tl: { col: 0, row: 0 },
+    ext: { width: 800, height: 400 },
+  });
+}
 
-    // 6. Destroy chart and remove canvas
-    chart.destroy();
-    document.body.removeChild(canvas);
+export default function useChartExport() {
+  // One column / bar series per workflow stage. Records carry the registry name and
+  // code of their subcontractor (`subcontractor`, `subcontractor_code`). `attachments`
+  // ({ notes, punchItems, photos }) adds a sheet of notes and defects with their photos.
+  const exportToExcel = useCallback(async (dailyLog, workflow, attachments = null) => {
+    const hasLog = dailyLog && dailyLog.length > 0;
+    const hasAttachments = attachments && (attachments.notes.length > 0 || attachments.punchItems.length > 0);
+    if (!hasLog && !hasAttachments) {
+      alert("No data to export. Please submit daily work or add notes first.");
+      return;
+    }
 
-    // 7. Create Excel workbook
+    // Create Excel workbook
     const workbook = new ExcelJS.Workbook();
     workbook.creator = "MC4 Panel MVP";
     workbook.created = new Date();
 
-    // Sheet 1: Data
-    const dataSheet = workbook.addWorksheet("Daily Log");
-    dataSheet.columns = [
-      { header: "Date", key: "date", width: 15 },
-      { header: "Installed Panels", key: "installed_panels", width: 18 },
-      { header: "Workers", key: "workers", width: 12 },
-      { header: "Subcontractor", key: "subcontractor", width: 25 },
-    ];
-
-    // Add header styling
-    dataSheet.getRow(1).font = { bold: true };
-    dataSheet.getRow(1).fill = {
-      type: "pattern",
-      pattern: "solid",
-      fgColor: { argb: "FF3498DB" },
-    };
-    dataSheet.getRow(1).font = { bold: true, color: { argb: "FFFFFFFF" } };
-
-    // Add data rows
-    sortedData.forEach((row) => {
-      dataSheet.addRow({
-        date: row.date,
-        installed_panels: row.installed_panels,
-        workers: row.workers,
-        subcontractor: row.subcontractor,
-      });
-    });
-
-    // Add totals row
-    const totalRow = dataSheet.addRow({
-      date: "TOTAL",
-      installed_panels: sortedData.reduce((s, r) => s + r.installed_panels, 0),
-      workers: sortedData.reduce((s, r) => s + r.workers, 0),
-      subcontractor: "",
-    });
-    totalRow.font = { bold: true };
-
-    // Sheet 2: Chart
-    const chartSheet = workbook.addWorksheet("Chart");
-    
-    // Convert base64 to buffer
-    const base64Data = chartImage.replace(/^data:image\/png;base64,/, "");
-    const imageId = workbook.addImage({
-      base64: base64Data,
-      extension: "png",
-    });
-
-    chartSheet.addImage(imageId, {
-      tl: { col: 0, row: 0 },
-      ext: { width: 800, height: 400 },
-    });
+    // The daily log sheets are skipped on a site with notes or defects but no submissions
+    if (hasLog) await addDailyLogSheets(workbook, dailyLog, workflow);
+    if (hasAttachments) addNotesSheet(workbook, attachments);
 
-    // 8. Download
+    // Download
     const buffer = await workbook.xlsx.writeBuffer();
     const blob = new Blob([buffer], {
       type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
@@ -1,30 +1,62 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo } from "react";
+import { BUILTIN_PROJECT_ID } from "../utils/layoutLoader";
+import { makeRecordId, withRecordIds, isLive, editRecord, deleteRecord } from "../utils/dailyLog";
 
-export default function useDailyLog() {
-  const [dailyLog, setDailyLog] = useState([]);
+// The built-in site keeps the original key so existing logs stay where they are
+export const dailyLogKey = (projectId) =>
+  projectId === BUILTIN_PROJECT_ID ? "dailyLog" : `dailyLog:${projectId}`;
+
+// `dailyLog` holds the live records; `records` also includes deleted ones, for the
+// audit trail in the history
+export default function useDailyLog(projectId = BUILTIN_PROJECT_ID) {
+  const [records, setRecords] = useState([]);
+  const key = dailyLogKey(projectId);
 
   useEffect(() => {
-    const stored = localStorage.getItem("dailyLog");
+    const stored = localStorage.getItem(key);
     if (stored) {
       try {
-        setDailyLog(JSON.parse(stored));
+        setRecords(withRecordIds(JSON.parse(stored)));
       } catch (e) {
         console.error("Error parsing dailyLog from localStorage:", e);
-        setDailyLog([]);
+        setRecords([]);
       }
+    } else {
+      setRecords([]);
     }
-  }, []);
+  }, [key]);
+
+  const dailyLog = useMemo(() => records.filter(isLive), [records]);
+
+  // Written before the state changes, so a failed write (e.g. storage full) throws
+  // without the UI showing records that were never saved
+  const store = (updated) => {
+    localStorage.setItem(key, JSON.stringify(updated));
+    setRecords(updated);
+  };
 
   const addRecord = (record) => {
-    const updated = [...dailyLog, record];
-    setDailyLog(updated);
-    localStorage.setItem("dailyLog", JSON.stringify(updated));
+    store([...records, { ...record, id: makeRecordId() }]);
+  };
+
+  // Corrections: `audit` is { reason, user, workflow }, see utils/dailyLog.js
+  const updateRecord = (id, fields, audit) => {
+    store(editRecord(records, id, fields, audit));
+  };
+
+  const removeRecord = (id, audit) => {
+    store(deleteRecord(records, id, audit));
+  };
+
+  // Rewrite stored records, e.g. to link them to the subcontractor registry
+  const updateRecords = (update) => {
+    store(update(records));
   };
 
   const resetLog = () => {
-    localStorage.removeItem("dailyLog");
-    setDailyLog([]);
+    localStorage.removeItem(key);
+    setRecords([]);
   };
 
-  return { dailyLog, addRecord, resetLog };
+  return { dailyLog, records, addRecord, updateRecord, removeRecord, updateRecords, resetLog };
 }
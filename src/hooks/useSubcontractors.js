@@ -0,0 +1,41 @@
+import { useState } from "react";
+
+// The registry is shared by all sites: the same companies work on several of them
+const STORAGE_KEY = "subcontractors";
+
+const load = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (e) {
+    console.error("Error parsing subcontractors from localStorage:", e);
+    return [];
+  }
+};
+
+export default function useSubcontractors() {
+  const [subcontractors, setSubcontractors] = useState(load);
+
+  // Written before the state changes, so a failed write (e.g. storage full) throws
+  // without the UI showing a registry that was never saved
+  const store = (updated) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+    setSubcontractors(updated);
+  };
+
+  // Add new entries or replace the ones with the same id
+  const saveSubcontractors = (subs) => {
+    const byId = new Map(subs.map((sub) => [sub.id, sub]));
+    const replaced = subcontractors.map((entry) => byId.get(entry.id) || entry);
+    const added = subs.filter((sub) => !subcontractors.some((entry) => entry.id === sub.id));
+    store([...replaced, ...added]);
+  };
+
+  // Retire `fromId` in favour of `intoId`
+  const mergeSubcontractor = (fromId, intoId) => {
+    store(subcontractors.map((entry) =>
+      entry.id === fromId ? { ...entry, active: false, mergedInto: intoId } : entry
+    ));
+  };
+
+  return { subcontractors, saveSubcontractors, mergeSubcontractor };
+}
@@ -0,0 +1,100 @@
+// Spatial grouping of panels for the completion overlays, in SVG canvas space.
+// Sub-areas are the closed boundary rings (the "SOMBREADO SUB 0x" hatch outlines),
+// grouped by layer name; a panel belongs to the area containing its centre.
+// Inverter boxes ("CAJA" rectangles) collect the panels closest to them.
+
+import { parseLabel } from "./hierarchy";
+
+const isClosed = (coords) => {
+  if (coords.length < 4) return false;
+  const [first, last] = [coords[0], coords[coords.length - 1]];
+  return first[0] === last[0] && first[1] === last[1];
+};
+
+const bboxOf = (points) => ({
+  minX: Math.min(...points.map((p) => p.x)),
+  maxX: Math.max(...points.map((p) => p.x)),
+  minY: Math.min(...points.map((p) => p.y)),
+  maxY: Math.max(...points.map((p) => p.y)),
+});
+
+function isInsideRing({ x, y }, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+const inBBox = ({ x, y }, b) => x >= b.minX && x <= b.maxX && y >= b.minY && y <= b.maxY;
+
+// [{ id, name, rings, panelIds }] for the closed rings of the boundary layer
+export function buildSubAreas(lineFeatures, geometries, toSvgCoords) {
+  const byName = new Map();
+  lineFeatures.forEach((feature, i) => {
+    const coords = feature.geometry?.coordinates || [];
+    if (!isClosed(coords)) return;
+    const name = feature.properties?.layer || feature.properties?.name || `Area ${i + 1}`;
+    const points = coords.map((c) => toSvgCoords(c[0], c[1]));
+    if (!byName.has(name)) byName.set(name, { id: `area:${name}`, name, rings: [], panelIds: [] });
+    byName.get(name).rings.push({ points, bbox: bboxOf(points) });
+  });
+
+  const areas = [...byName.values()].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  geometries.forEach((g) => {
+    const area = areas.find((candidate) =>
+      candidate.rings.some((ring) => inBBox(g.center, ring.bbox) && isInsideRing(g.center, ring.points))
+    );
+    if (area) area.panelIds.push(g.panelId);
+  });
+  return areas;
+}
+
+// [{ id, name, rect, inverters, panelIds }] for the inverter box rectangles (`invRects`).
+// `inverters` are the inverters of the box's labelled panels, most panels first.
+export function buildInverterBoxes(invRects, geometries) {
+  const boxes = invRects.map((rect) => ({
+    id: `box:${rect.id}`,
+    rect,
+    center: { x: (rect.minX + rect.maxX) / 2, y: (rect.minY + rect.maxY) / 2 },
+    inverters: [],
+    panelIds: [],
+  }));
+  if (boxes.length === 0) return boxes;
+
+  const inverterCounts = new Map();
+  geometries.forEach((g) => {
+    let nearest = boxes[0];
+    let best = Infinity;
+    boxes.forEach((box) => {
+      const dist = (box.center.x - g.center.x) ** 2 + (box.center.y - g.center.y) ** 2;
+      if (dist < best) {
+        best = dist;
+        nearest = box;
+      }
+    });
+    nearest.panelIds.push(g.panelId);
+    const parsed = parseLabel(g.label);
+    if (parsed) {
+      if (!inverterCounts.has(nearest)) inverterCounts.set(nearest, new Map());
+      const counts = inverterCounts.get(nearest);
+      const inv = `${parsed.tx}-${parsed.inv}`;
+      counts.set(inv, (counts.get(inv) || 0) + 1);
+    }
+  });
+  inverterCounts.forEach((counts, box) => {
+    box.inverters = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([inv]) => inv);
+  });
+  // Several rectangles can sit on one box; only those closest to some panel are kept
+  return boxes
+    .filter((box) => box.panelIds.length > 0)
+    .map((box, i) => ({ ...box, name: `Box ${i + 1}` }));
+}
+
+// Overlay fill for a completion percentage: red (0%) through amber to green (100%)
+export function heatColor(pct) {
+  const hue = Math.round(Math.max(0, Math.min(100, pct)) * 1.2);
+  return `hsl(${hue}, 75%, 45%)`;
+}
@@ -0,0 +1,51 @@
+// Timestamped change log of panel states.
+// Every change to panelStates (clicks, box selections, undo/redo) is diffed into
+// one entry per panel end or per-panel stage: { panelId, side, from, to, at, crew, user },
+// with side "left", "right" or "panel" and crew / user who made it (see utils/crews.js).
+// Daily submissions are computed from this log instead of from the cumulative totals.
+
+import { ALL_KEYS, SCOPE_KEYS, reachesStage } from "./workflow";
+
+export function diffPanelStates(prevStates, nextStates, at = Date.now(), { crew = null, user = null } = {}) {
+  const changes = [];
+  const ids = new Set([...Object.keys(prevStates || {}), ...Object.keys(nextStates || {})]);
+
+  ids.forEach((panelId) => {
+    const prev = prevStates?.[panelId];
+    const next = nextStates?.[panelId];
+    if (prev === next) return;
+    ALL_KEYS.forEach((side) => {
+      const from = prev?.[side] || null;
+      const to = next?.[side] || null;
+      if (from !== to) changes.push({ panelId, side, from, to, at, crew, user });
+    });
+  });
+
+  return changes;
+}
+
+// Net number of units that reached each workflow stage through the changes in
+// [from, to): { [stageId]: count }. Undoing or clearing counts negative, so mistakes
+// corrected within the window cancel out.
+export function countChanges(changeLog, workflow, { from = -Infinity, to = Infinity } = {}) {
+  const counts = {};
+  workflow.forEach((stage) => { counts[stage.id] = 0; });
+
+  changeLog.forEach((change) => {
+    if (change.at < from || change.at >= to) return;
+    workflow.forEach((stage) => {
+      if (!SCOPE_KEYS[stage.scope].includes(change.side)) return;
+      counts[stage.id] += reachesStage(workflow, change.to, stage) - reachesStage(workflow, change.from, stage);
+    });
+  });
+
+  return counts;
+}
+
+// Local-time [start, end) timestamps of a 'YYYY-MM-DD' date
+export function dayRange(date) {
+  const start = new Date(`${date}T00:00:00`);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { from: start.getTime(), to: end.getTime() };
+}
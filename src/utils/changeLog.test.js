@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { countChanges, diffPanelStates } from "./changeLog";
+import { DEFAULT_WORKFLOW } from "./workflow";
+
+const change = (side, from, to, at) => ({ panelId: "a", side, from, to, at, crew: null, user: null });
+
+describe("diffPanelStates", () => {
+  it("logs one entry per changed key with the attribution", () => {
+    const changes = diffPanelStates(
+      { a: { left: "mc4" }, b: { left: "mc4" } },
+      { a: { left: "terminated", panel: "defect" }, b: { left: "mc4" } },
+      10,
+      { crew: "North", user: "ana" }
+    );
+    expect(changes).toEqual([
+      { panelId: "a", side: "left", from: "mc4", to: "terminated", at: 10, crew: "North", user: "ana" },
+      { panelId: "a", side: "panel", from: null, to: "defect", at: 10, crew: "North", user: "ana" },
+    ]);
+  });
+
+  it("logs panels that were removed", () => {
+    expect(diffPanelStates({ a: { right: "mc4" } }, {}, 1)).toEqual([change("right", "mc4", null, 1)]);
+  });
+});
+
+describe("countChanges", () => {
+  it("counts units reaching each stage, cumulatively", () => {
+    const counts = countChanges([change("left", null, "terminated", 1)], DEFAULT_WORKFLOW);
+    expect(counts).toMatchObject({ mc4: 1, terminated: 1, iv_tested: 0 });
+  });
+
+  it("cancels out changes undone within the window", () => {
+    const log = [change("left", null, "mc4", 1), change("left", "mc4", null, 2), change("right", null, "mc4", 3)];
+    expect(countChanges(log, DEFAULT_WORKFLOW).mc4).toBe(1);
+  });
+
+  it("only counts changes in [from, to)", () => {
+    const log = [change("left", null, "mc4", 1), change("right", null, "mc4", 2), change("panel", null, "defect", 3)];
+    expect(countChanges(log, DEFAULT_WORKFLOW, { from: 2, to: 3 })).toMatchObject({ mc4: 1, defect: 0 });
+  });
+
+  it("doesn't count a non-cumulative stage once the unit moves on", () => {
+    const log = [change("panel", null, "defect", 1), change("panel", "defect", "rework", 2)];
+    expect(countChanges(log, DEFAULT_WORKFLOW)).toMatchObject({ defect: 0, rework: 1 });
+  });
+});
@@ -0,0 +1,99 @@
+// Crew attribution of panel work. Every changeLog entry is stamped with the crew
+// that was active and the user who made the change ({ crew, user }); the crew that
+// did a panel end is the one on the last change that set its current state.
+// Undo and redo reverse earlier work, so they keep the crew of what they reverse.
+// Entries logged before attribution existed have no crew and count as unattributed.
+
+import { countChanges } from "./changeLog";
+
+// Key of unattributed work. Not empty: the panel layers skip falsy stage keys, so
+// an empty key would never be drawn in the crew view.
+export const UNATTRIBUTED = "unattributed";
+
+const CREW_COLORS = [
+  "#3498db", "#e67e22", "#9b59b6", "#1abc9c", "#e84393",
+  "#f1c40f", "#2ecc71", "#e74c3c", "#00cec9", "#a0522d",
+];
+const UNATTRIBUTED_COLOR = "#7f8c8d";
+
+export const crewLabel = (crew) => (crew && crew !== UNATTRIBUTED ? crew : "Unattributed");
+
+// Crews seen in the log, sorted by name, unattributed last
+export function crewsInLog(changeLog) {
+  const crews = new Set(changeLog.map((change) => change.crew || UNATTRIBUTED));
+  const named = [...crews].filter((crew) => crew !== UNATTRIBUTED).sort((a, b) => a.localeCompare(b));
+  return crews.has(UNATTRIBUTED) ? [...named, UNATTRIBUTED] : named;
+}
+
+// { [crew]: { fill, stroke } }, in the same shape as the stage styles so the panel
+// layers can draw crews instead of stages
+export function buildCrewStyles(crews) {
+  const styles = {};
+  let i = 0;
+  crews.forEach((crew) => {
+    const color = crew === UNATTRIBUTED ? UNATTRIBUTED_COLOR : CREW_COLORS[i++ % CREW_COLORS.length];
+    styles[crew] = { fill: color, stroke: "#1f2937" };
+  });
+  return styles;
+}
+
+// Panel states with each stage replaced by the crew that set it: { [panelId]: { left, right, panel } }.
+// With `onlyCrew` set, units done by other crews are left out.
+export function crewPanelStates(panelStates, changeLog, onlyCrew = null) {
+  const lastChange = new Map();
+  changeLog.forEach((change) => lastChange.set(`${change.panelId}:${change.side}`, change));
+
+  const result = {};
+  Object.entries(panelStates).forEach(([panelId, state]) => {
+    Object.entries(state || {}).forEach(([side, stage]) => {
+      if (!stage) return;
+      const change = lastChange.get(`${panelId}:${side}`);
+      const crew = change?.to === stage ? change.crew || UNATTRIBUTED : UNATTRIBUTED;
+      if (onlyCrew !== null && crew !== onlyCrew) return;
+      result[panelId] = { ...result[panelId], [side]: crew };
+    });
+  });
+  return result;
+}
+
+// `changes` made by an undo or redo step, with each crew replaced by the crew of the
+// log entry it reverses: the last one on the same unit, which set the state being left.
+// Units with no such entry (e.g. state from before the log) count as unattributed.
+export function creditReversedCrews(changes, changeLog) {
+  const lastChange = new Map();
+  changeLog.forEach((change) => lastChange.set(`${change.panelId}:${change.side}`, change));
+  return changes.map((change) => {
+    const reversed = lastChange.get(`${change.panelId}:${change.side}`);
+    return { ...change, crew: reversed?.to === change.from ? reversed.crew : null };
+  });
+}
+
+const localDate = (ms) => {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+// Per-crew productivity over [from, to): net units per stage, the days the crew
+// changed anything, and the users who recorded its work
+export function crewProductivity(changeLog, workflow, { from = -Infinity, to = Infinity } = {}) {
+  const byCrew = new Map();
+  changeLog.forEach((change) => {
+    if (change.at < from || change.at >= to) return;
+    const crew = change.crew || UNATTRIBUTED;
+    if (!byCrew.has(crew)) byCrew.set(crew, []);
+    byCrew.get(crew).push(change);
+  });
+
+  return crewsInLog([...byCrew.values()].flat()).map((crew) => {
+    const changes = byCrew.get(crew);
+    const days = new Set(changes.map((change) => localDate(change.at)));
+    return {
+      crew,
+      stageCounts: countChanges(changes, workflow),
+      days: days.size,
+      users: [...new Set(changes.map((change) => change.user).filter(Boolean))].sort(),
+      firstAt: changes[0].at,
+      lastAt: changes[changes.length - 1].at,
+    };
+  });
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { diffPanelStates } from "./changeLog";
+import { UNATTRIBUTED, creditReversedCrews, crewPanelStates, crewProductivity, crewsInLog } from "./crews";
+import { DEFAULT_WORKFLOW } from "./workflow";
+
+const done = { a: { left: "mc4" } };
+
+describe("creditReversedCrews", () => {
+  it("credits undo and redo to the crew of the work they reverse", () => {
+    let log = diffPanelStates({}, done, 1, { crew: "North" });
+    log = [...log, ...creditReversedCrews(diffPanelStates(done, {}, 2, { crew: "South" }), log)];
+    log = [...log, ...creditReversedCrews(diffPanelStates({}, done, 3, { crew: "South" }), log)];
+    expect(log.map((change) => change.crew)).toEqual(["North", "North", "North"]);
+    expect(crewProductivity(log, DEFAULT_WORKFLOW).map(({ crew, stageCounts }) => [crew, stageCounts.mc4])).toEqual([
+      ["North", 1],
+    ]);
+  });
+
+  it("leaves units with no logged change unattributed", () => {
+    const [undo] = creditReversedCrews(diffPanelStates(done, {}, 2, { crew: "South" }), []);
+    expect(undo.crew).toBe(null);
+  });
+});
+
+describe("crewPanelStates", () => {
+  const log = [
+    ...diffPanelStates({}, { a: { left: "mc4" } }, 1, { crew: "North" }),
+    ...diffPanelStates({}, { b: { left: "mc4" } }, 2),
+  ];
+  const states = { a: { left: "mc4" }, b: { left: "mc4" }, c: { right: "mc4" } };
+
+  it("replaces stages with the crew that set them", () => {
+    expect(crewPanelStates(states, log)).toEqual({
+      a: { left: "North" },
+      b: { left: UNATTRIBUTED },
+      c: { right: UNATTRIBUTED },
+    });
+  });
+
+  it("filters to one crew", () => {
+    expect(crewPanelStates(states, log, "North")).toEqual({ a: { left: "North" } });
+  });
+
+  it("lists unattributed work last", () => {
+    expect(crewsInLog([...log, { crew: "Alpha" }])).toEqual(["Alpha", "North", UNATTRIBUTED]);
+  });
+});
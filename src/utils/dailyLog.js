@@ -0,0 +1,68 @@
+// Daily log corrections. Every record has an `id`; edits and deletions need a reason
+// and are appended to the record's `audit` trail:
+// { at, user, action: "edit" | "delete", reason, changes: { [field]: { from, to } } }.
+// Deleted records stay stored with `deleted_at` so the trail remains visible.
+
+import { recordStageCount } from "./workflow";
+
+export const makeRecordId = (at = Date.now()) => `rec-${at}-${Math.random().toString(36).slice(2, 7)}`;
+
+// Records saved before ids existed get one (derived from submission time when known)
+export function withRecordIds(records) {
+  return records.map((record, i) => (record.id
+    ? record
+    : { ...record, id: makeRecordId(record.submitted_at ? Date.parse(record.submitted_at) + i : i) }));
+}
+
+export const isLive = (record) => !record.deleted_at;
+
+// Editable fields that differ: { [field]: { from, to } }. Stage counts compare per stage.
+export function diffRecord(before, after, workflow) {
+  const changes = {};
+  ["date", "subcontractor_id", "subcontractor", "workers"].forEach((field) => {
+    if (field in after && after[field] !== before[field]) {
+      changes[field] = { from: before[field] ?? null, to: after[field] };
+    }
+  });
+  if (after.stage_counts) {
+    workflow.forEach((stage) => {
+      const from = recordStageCount(before, stage.id);
+      const to = after.stage_counts[stage.id] ?? 0;
+      if (from !== to) changes[`stage_counts.${stage.id}`] = { from, to };
+    });
+  }
+  return changes;
+}
+
+export function editRecord(records, id, fields, { reason, user, workflow, at = Date.now() }) {
+  return records.map((record) => {
+    if (record.id !== id) return record;
+    const changes = diffRecord(record, fields, workflow);
+    if (Object.keys(changes).length === 0) return record;
+    return {
+      ...record,
+      ...fields,
+      audit: [...(record.audit || []), { at, user, action: "edit", reason, changes }],
+    };
+  });
+}
+
+export function deleteRecord(records, id, { reason, user, at = Date.now() }) {
+  return records.map((record) => (record.id === id
+    ? {
+      ...record,
+      deleted_at: new Date(at).toISOString(),
+      audit: [...(record.audit || []), { at, user, action: "delete", reason, changes: {} }],
+    }
+    : record));
+}
+
+// Live record for the same date and subcontractor, other than `except`
+export function findDuplicate(dailyLog, { date, subcontractor_id, subcontractor }, except = null) {
+  const sameName = (a, b) => (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+  return dailyLog.find((record) => record.id !== except && isLive(record) && record.date === date && (
+    subcontractor_id && record.subcontractor_id
+      ? record.subcontractor_id === subcontractor_id
+      : sameName(record.subcontractor, subcontractor)
+  )) || null;
+}
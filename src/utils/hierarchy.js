@@ -0,0 +1,89 @@
+// Electrical hierarchy: transformer → inverter → string.
+// Panel labels follow "TX2-INV1-STR5"; panels sharing a label belong to the same string.
+
+import { SCOPE_KEYS, reachesStage } from "./workflow";
+
+const LABEL_PATTERN = /^(TX\d+)-(INV\d+)-(STR\d+)$/i;
+
+export const UNASSIGNED = "Unassigned";
+
+export function parseLabel(label) {
+  const match = LABEL_PATTERN.exec((label || "").trim());
+  if (!match) return null;
+  const [, tx, inv, str] = match.map((part) => part.toUpperCase());
+  return { tx, inv, str };
+}
+
+// Natural order so INV2 sorts before INV10
+const collator = new Intl.Collator(undefined, { numeric: true });
+
+// stages: units (ends or panels, by stage scope) that reached each workflow stage
+const emptyStats = () => ({ panels: 0, ends: 0, stages: {} });
+
+function addPanel(stats, state, workflow) {
+  stats.panels++;
+  stats.ends += 2;
+  workflow.forEach((stage) => {
+    SCOPE_KEYS[stage.scope].forEach((key) => {
+      if (reachesStage(workflow, state[key], stage)) {
+        stats.stages[stage.id] = (stats.stages[stage.id] || 0) + 1;
+      }
+    });
+  });
+}
+
+function getChild(node, key, level) {
+  if (!node.childMap.has(key)) {
+    const id = node.id ? `${node.id}-${key}` : key;
+    node.childMap.set(key, { id, name: key, level, stats: emptyStats(), panelIds: [], childMap: new Map() });
+  }
+  return node.childMap.get(key);
+}
+
+// Convert the working maps into sorted children arrays and percentages
+function finalize(node, workflow) {
+  const { stats } = node;
+  const children = [...node.childMap.values()]
+    .sort((a, b) => collator.compare(a.name, b.name))
+    .map((child) => finalize(child, workflow));
+  // Completion per stage, against ends or panels depending on the stage scope
+  const stagePct = {};
+  workflow.forEach((stage) => {
+    const units = stage.scope === "end" ? stats.ends : stats.panels;
+    stagePct[stage.id] = units ? ((stats.stages[stage.id] || 0) / units) * 100 : 0;
+  });
+  return {
+    id: node.id,
+    name: node.name,
+    level: node.level,
+    panelIds: node.panelIds,
+    stats,
+    stagePct,
+    children,
+  };
+}
+
+// Build the tree with the completion of every workflow stage at every level.
+// Panels whose label doesn't parse are grouped under an "Unassigned" transformer.
+export function buildHierarchy(features, panelStates, workflow = []) {
+  const root = { id: "", name: "Site", level: "site", stats: emptyStats(), panelIds: [], childMap: new Map() };
+
+  features.forEach((feature) => {
+    const { panelId, text } = feature.properties;
+    const parsed = parseLabel(text);
+    const path = parsed
+      ? [[parsed.tx, "tx"], [parsed.inv, "inv"], [parsed.str, "str"]]
+      : [[UNASSIGNED, "tx"]];
+
+    const state = panelStates[panelId] || {};
+    const nodes = [root];
+    path.forEach(([key, level]) => nodes.push(getChild(nodes[nodes.length - 1], key, level)));
+
+    nodes.forEach((node) => {
+      node.panelIds.push(panelId);
+      addPanel(node.stats, state, workflow);
+    });
+  });
+
+  return finalize(root, workflow);
+}
@@ -0,0 +1,242 @@
+// Project layout loading: the four GeoJSON layers of a solar site, their
+// validation on import, and the preparation done before the map renders
+// (geometry normalization, label join, stable ids, canvas bounds).
+
+import { assignPanelIds } from "./panelIdentity";
+
+export const BUILTIN_PROJECT_ID = "default";
+
+const RING_TYPES = ["LineString", "Polygon", "MultiPolygon"];
+
+// Layer kinds, with the file paths of the built-in site and the geometry types the loader accepts.
+// Path layers are normalized to 2D LineStrings (one per ring/part, with at least minPoints
+// points), point layers to 2D Points.
+export const LAYER_KINDS = {
+  panels: { label: "Panels", builtinPath: "/panels.geojson", geometryTypes: RING_TYPES, minPoints: 2, required: true },
+  line: { label: "Boundaries", builtinPath: "/line.geojson", geometryTypes: [...RING_TYPES, "MultiLineString"], minPoints: 2 },
+  invPoint: { label: "Inverter boxes", builtinPath: "/inv point.geojson", geometryTypes: RING_TYPES, minPoints: 3 },
+  text: { label: "String labels", builtinPath: "/text.geojson", geometryTypes: ["Point", "MultiPoint"], isPoint: true },
+};
+
+const EMPTY_COLLECTION = { type: "FeatureCollection", features: [] };
+
+// GeoJSON without a crs member is WGS84 by definition (RFC 7946)
+const WGS84_CRS = /CRS84|EPSG:+4326$/i;
+
+export async function fetchBuiltinLayers() {
+  const entries = await Promise.all(
+    Object.entries(LAYER_KINDS).map(async ([kind, { builtinPath }]) => {
+      const response = await fetch(builtinPath);
+      return [kind, await response.json()];
+    })
+  );
+  return Object.fromEntries(entries);
+}
+
+// Best guess of a file's layer kind from its name, used to pre-fill the import mapping
+export function guessLayerKind(fileName) {
+  const name = fileName.toLowerCase();
+  if (/inv/.test(name)) return "invPoint";
+  if (/text|label/.test(name)) return "text";
+  if (/line|bound|fence|sombreado/.test(name)) return "line";
+  if (/panel|poli|table|module/.test(name)) return "panels";
+  return null;
+}
+
+const isPosition = (c) => Array.isArray(c) && Number.isFinite(c[0]) && Number.isFinite(c[1]);
+
+// Drop Z (and M) values - everything downstream works in 2D lng/lat
+const to2D = (c) => [c[0], c[1]];
+
+// A path geometry as a list of coordinate paths. Polygons contribute their outer
+// ring only - panels and inverter boxes have no meaningful holes.
+function toPaths(geometry) {
+  const coords = geometry.coordinates || [];
+  switch (geometry.type) {
+    case "LineString": return [coords];
+    case "MultiLineString": return coords;
+    case "Polygon": return coords.slice(0, 1);
+    case "MultiPolygon": return coords.map((polygon) => polygon[0]);
+    default: return [];
+  }
+}
+
+// Normalize a layer to 2D LineString / Point features. Multi-part features become
+// one feature per part. Returns the layer plus the features (or parts) it had to skip,
+// as [{ index, handle, reason }].
+export function normalizeLayer(geojson, kind) {
+  const spec = LAYER_KINDS[kind];
+  const features = [];
+  const skipped = [];
+
+  geojson.features.forEach((feature, index) => {
+    const skip = (reason) => skipped.push({ index, handle: feature.properties?.handle, reason });
+    const type = feature.geometry?.type;
+    const properties = { ...feature.properties };
+
+    if (!spec.geometryTypes.includes(type)) {
+      skip(`unsupported geometry ${type || "(none)"}`);
+      return;
+    }
+
+    if (spec.isPoint) {
+      const c = type === "MultiPoint" ? feature.geometry.coordinates?.[0] : feature.geometry.coordinates;
+      if (!isPosition(c)) skip("invalid coordinates");
+      else features.push({ type: "Feature", properties, geometry: { type: "Point", coordinates: to2D(c) } });
+      return;
+    }
+
+    const paths = toPaths(feature.geometry);
+    const usable = paths.filter((p) => Array.isArray(p) && p.length >= spec.minPoints && p.every(isPosition));
+    if (usable.length < paths.length || paths.length === 0) {
+      skip(usable.length === 0 ? `fewer than ${spec.minPoints} valid points` : `${paths.length - usable.length} invalid part(s) dropped`);
+    }
+    usable.forEach((p) => {
+      features.push({ type: "Feature", properties: { ...properties }, geometry: { type: "LineString", coordinates: p.map(to2D) } });
+    });
+  });
+
+  return { layer: { ...geojson, features }, skipped };
+}
+
+// "3 × unsupported geometry Point, 1 × fewer than 3 valid points"
+export function summarizeSkipped(skipped) {
+  const counts = {};
+  skipped.forEach(({ reason }) => { counts[reason] = (counts[reason] || 0) + 1; });
+  return Object.entries(counts).map(([reason, n]) => `${n} × ${reason}`).join(", ");
+}
+
+function firstPosition(geometry) {
+  let c = geometry?.coordinates;
+  while (Array.isArray(c) && Array.isArray(c[0])) c = c[0];
+  return Array.isArray(c) ? c : null;
+}
+
+// Check a parsed GeoJSON file against what a layer kind needs.
+// Returns { errors, warnings } - a layer with errors can't be imported.
+export function validateLayer(geojson, kind) {
+  const errors = [];
+  const warnings = [];
+  const spec = LAYER_KINDS[kind];
+
+  if (!geojson || geojson.type !== "FeatureCollection" || !Array.isArray(geojson.features)) {
+    errors.push("Not a GeoJSON FeatureCollection");
+    return { errors, warnings };
+  }
+
+  const crsName = geojson.crs?.properties?.name;
+  if (crsName && !WGS84_CRS.test(crsName)) {
+    errors.push(`Unsupported CRS "${crsName}" - export the layer in WGS84 (EPSG:4326)`);
+  }
+
+  if (geojson.features.length === 0) {
+    (spec.required ? errors : warnings).push("Layer has no features");
+    return { errors, warnings };
+  }
+
+  let outOfRange = 0;
+  geojson.features.forEach((f) => {
+    const pos = firstPosition(f.geometry);
+    if (pos && (Math.abs(pos[0]) > 180 || Math.abs(pos[1]) > 90)) outOfRange++;
+  });
+
+  const { layer, skipped } = normalizeLayer(geojson, kind);
+  if (layer.features.length === 0) {
+    errors.push(`No usable features - expected ${spec.geometryTypes.join(" / ")}`);
+  } else if (skipped.length > 0) {
+    warnings.push(`${skipped.length} feature(s) will be skipped: ${summarizeSkipped(skipped)}`);
+  }
+  if (outOfRange > 0) {
+    errors.push(`${outOfRange} feature(s) outside lng/lat range - coordinates look projected, not WGS84`);
+  }
+  if (kind === "text" && geojson.features.some((f) => !f.properties?.text)) {
+    warnings.push("Some label points have no 'text' property");
+  }
+
+  return { errors, warnings };
+}
+
+// Point-in-ring test in lng/lat space
+function isInsideRing(ring, x, y) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0], yi = ring[i][1];
+    const xj = ring[j][0], yj = ring[j][1];
+    const intersect = ((yi > y) !== (yj > y)) &&
+      (x < (xj - xi) * (y - yi) / (yj - yi + 1e-9) + xi);
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+// Spatial join: copy the label of the text point inside each panel into panel.properties.text
+function joinPanelLabels(panels, text) {
+  const textPoints = text.features
+    .filter((t) => t.properties?.text && t.geometry?.coordinates)
+    .map((t) => ({ text: t.properties.text, coord: t.geometry.coordinates }));
+
+  panels.features.forEach((panel) => {
+    const ring = panel.geometry.coordinates;
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    ring.forEach((p) => {
+      if (p[0] < minX) minX = p[0];
+      if (p[0] > maxX) maxX = p[0];
+      if (p[1] < minY) minY = p[1];
+      if (p[1] > maxY) maxY = p[1];
+    });
+
+    const match = textPoints.find(({ coord: [tx, ty] }) =>
+      tx >= minX && tx <= maxX && ty >= minY && ty <= maxY && isInsideRing(ring, tx, ty)
+    );
+    if (match) panel.properties.text = match.text;
+  });
+}
+
+// Lng/lat extent of all layers, padded so edge panels aren't flush with the canvas
+function computeBounds(layers) {
+  let minLng = Infinity, maxLng = -Infinity, minLat = Infinity, maxLat = -Infinity;
+  const visit = (c) => {
+    if (c[0] < minLng) minLng = c[0];
+    if (c[0] > maxLng) maxLng = c[0];
+    if (c[1] < minLat) minLat = c[1];
+    if (c[1] > maxLat) maxLat = c[1];
+  };
+
+  Object.values(layers).forEach((layer) => {
+    layer.features.forEach((f) => {
+      const coords = f.geometry?.coordinates;
+      if (!coords) return;
+      if (f.geometry.type === "Point") visit(coords);
+      else coords.forEach(visit);
+    });
+  });
+
+  if (minLng === Infinity) return null;
+
+  const padding = 0.001;
+  return {
+    minLng: minLng - padding,
+    maxLng: maxLng + padding,
+    minLat: minLat - padding,
+    maxLat: maxLat + padding,
+  };
+}
+
+// Normalize the layers (filling in missing optional ones), join labels, assign stable
+// panel ids and compute bounds. `skipped` lists, per layer kind, the features that
+// couldn't be used.
+export function prepareLayout(rawLayers) {
+  const layers = {};
+  const skipped = {};
+  Object.keys(LAYER_KINDS).forEach((kind) => {
+    const normalized = normalizeLayer(rawLayers[kind] || EMPTY_COLLECTION, kind);
+    layers[kind] = normalized.layer;
+    if (normalized.skipped.length > 0) skipped[kind] = normalized.skipped;
+  });
+
+  joinPanelLabels(layers.panels, layers.text);
+  const panelIds = assignPanelIds(layers.panels.features);
+  const bounds = computeBounds(layers);
+
+  return { layers, panelIds, bounds, skipped };
+}
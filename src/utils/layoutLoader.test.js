@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { normalizeLayer, prepareLayout, validateLayer } from "./layoutLoader";
+
+const collection = (features) => ({ type: "FeatureCollection", features });
+const panel = (lng, handle) => ({
+  type: "Feature",
+  properties: { handle },
+  geometry: { type: "LineString", coordinates: [[lng, 40], [lng + 0.0001, 40], [lng + 0.0001, 40.0001], [lng, 40.0001], [lng, 40]] },
+});
+const label = (lng, text) => ({
+  type: "Feature",
+  properties: { text },
+  geometry: { type: "Point", coordinates: [lng + 0.00005, 40.00005] },
+});
+
+describe("prepareLayout", () => {
+  it("keys panels by label, numbering repeated labels west to east", () => {
+    const layers = {
+      panels: collection([panel(0.002, "B"), panel(0.001, "A"), panel(0.003, "C")]),
+      text: collection([label(0.002, "TX1-INV1-STR1"), label(0.001, "TX1-INV1-STR1")]),
+    };
+    expect(prepareLayout(layers).panelIds).toEqual(["TX1-INV1-STR1#2", "TX1-INV1-STR1#1", "HC"]);
+  });
+
+  it("gives the same ids when the features are exported in another order", () => {
+    const features = [panel(0.001, "A"), panel(0.002, "B"), panel(0.003, "C")];
+    const text = collection([label(0.001, "S1"), label(0.002, "S1"), label(0.003, "S2")]);
+    const idsOf = (panels) => {
+      const { layers, panelIds } = prepareLayout({ panels: collection(panels), text });
+      return Object.fromEntries(layers.panels.features.map((f, i) => [f.properties.handle, panelIds[i]]));
+    };
+    expect(idsOf([...features].reverse())).toEqual(idsOf(features));
+  });
+
+  it("computes padded bounds over the layers", () => {
+    const { bounds } = prepareLayout({ panels: collection([panel(0.001, "A")]) });
+    expect(bounds.minLng).toBeCloseTo(0);
+    expect(bounds.maxLat).toBeCloseTo(40.0011);
+  });
+});
+
+describe("normalizeLayer", () => {
+  it("splits multi-part geometries, drops Z and reports unusable features", () => {
+    const { layer, skipped } = normalizeLayer(collection([
+      {
+        type: "Feature",
+        properties: { handle: "M" },
+        geometry: { type: "MultiPolygon", coordinates: [[[[0, 0, 5], [1, 0, 5], [1, 1, 5], [0, 0, 5]]], [[[2, 2], [3, 2], [3, 3], [2, 2]]]] },
+      },
+      { type: "Feature", properties: { handle: "P" }, geometry: { type: "Point", coordinates: [0, 0] } },
+    ]), "panels");
+    expect(layer.features.map((f) => f.geometry.coordinates[0])).toEqual([[0, 0], [2, 2]]);
+    expect(skipped).toEqual([{ index: 1, handle: "P", reason: "unsupported geometry Point" }]);
+  });
+});
+
+describe("validateLayer", () => {
+  it("rejects projected coordinates and foreign CRSs", () => {
+    const projected = collection([panel(500000, "A")]);
+    expect(validateLayer(projected, "panels").errors[0]).toMatch(/outside lng\/lat range/);
+    const utm = { ...collection([panel(0.001, "A")]), crs: { properties: { name: "EPSG:32630" } } };
+    expect(validateLayer(utm, "panels").errors[0]).toMatch(/Unsupported CRS/);
+  });
+});
@@ -0,0 +1,97 @@
+// Map notes: { id, lng, lat, text, photoIds, author, createdAt, updatedAt, resolved }.
+// Notes used to be stored in canvas coordinates (svgX / svgY), which shift whenever
+// the layout bounds change; they are now anchored in WGS84 and projected for display
+// like every other layer.
+
+import { createLegacyCanvasMapping } from "./projection";
+
+export function createNote(lng, lat, author, at = Date.now()) {
+  return { id: at, lng, lat, text: "", photoIds: [], author, createdAt: at, updatedAt: at, resolved: false };
+}
+
+// Older notes have no timestamps; their id is the Date.now() they were created at
+export const noteCreatedAt = (note) => note.createdAt ?? (typeof note.id === "number" ? note.id : null);
+
+// Notes whose text, author or nearest panel label contain the query
+export function searchNotes(entries, query) {
+  const text = query.trim().toLowerCase();
+  if (!text) return entries;
+  return entries.filter(({ note, panelLabel }) =>
+    `${note.text} ${note.author || ""} ${panelLabel}`.toLowerCase().includes(text)
+  );
+}
+
+const isCanvasNote = (note) => !(Number.isFinite(note.lng) && Number.isFinite(note.lat));
+
+// Convert notes still in canvas coordinates. They were drawn on the legacy linear
+// canvas over the layout bounds (see createLegacyCanvasMapping), not the local projection.
+export function migrateCanvasNotes(notes, bounds) {
+  if (!bounds) return notes;
+  const legacy = createLegacyCanvasMapping(bounds);
+  return notes.map((note) => {
+    if (!isCanvasNote(note)) return note;
+    const { svgX, svgY, ...rest } = note;
+    const { lng, lat } = legacy.fromSvg(svgX, svgY);
+    return { ...rest, lng, lat };
+  });
+}
+
+// GeoJSON point layer of the notes. Photos stay in the browser; only their count is exported.
+export function notesToGeoJSON(notes) {
+  return {
+    type: "FeatureCollection",
+    features: notes.map((note) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [note.lng, note.lat] },
+      properties: {
+        id: note.id,
+        text: note.text,
+        author: note.author || null,
+        created_at: noteCreatedAt(note) ? new Date(noteCreatedAt(note)).toISOString() : null,
+        resolved: Boolean(note.resolved),
+        photos: note.photoIds?.length || 0,
+      },
+    })),
+  };
+}
+
+// Notes from a GeoJSON point layer: { notes, skipped }. Text is read from the
+// "text", "name" or "description" property; features whose id is already in
+// `existingIds` are skipped so importing the same file twice adds nothing.
+export function notesFromGeoJSON(geojson, existingIds = new Set()) {
+  if (!geojson || !Array.isArray(geojson.features)) {
+    throw new Error("Not a GeoJSON FeatureCollection");
+  }
+
+  const notes = [];
+  let skipped = 0;
+  geojson.features.forEach((feature, i) => {
+    const geometry = feature?.geometry;
+    const points = geometry?.type === "Point" ? [geometry.coordinates]
+      : geometry?.type === "MultiPoint" ? geometry.coordinates
+      : [];
+    const valid = points.filter((c) => Array.isArray(c) && Number.isFinite(c[0]) && Number.isFinite(c[1]));
+    if (valid.length === 0) {
+      skipped++;
+      return;
+    }
+
+    const props = feature.properties || {};
+    const text = String(props.text ?? props.name ?? props.description ?? "");
+    const createdAt = Date.parse(props.created_at) || Date.now();
+    valid.forEach(([lng, lat], j) => {
+      const baseId = props.id ?? `import-${Date.now()}-${i}`;
+      const id = valid.length > 1 ? `${baseId}-${j}` : baseId;
+      if (existingIds.has(id)) {
+        skipped++;
+        return;
+      }
+      notes.push({
+        id, lng, lat, text, photoIds: [],
+        author: props.author || "", createdAt, updatedAt: createdAt, resolved: Boolean(props.resolved),
+      });
+    });
+  });
+
+  return { notes, skipped };
+}
@@ -0,0 +1,87 @@
+// Georeferenced drone orthophotos: a PNG/JPEG plus its world file (.pgw, .jgw, .wld ...).
+// World files in degrees are read as WGS84; projected ones as WGS84 / UTM in the
+// zone of the site. Leaflet image overlays are axis-aligned, so the small rotation
+// between the UTM grid and lng/lat (grid convergence) is ignored.
+
+import { utmToLngLat, utmZoneOf } from "./projection";
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g)$/i;
+const WORLD_EXTENSIONS = /\.(pgw|pngw|jgw|jpgw|jpegw|wld)$/i;
+const TIFF_EXTENSIONS = /\.(tiff?|tfw)$/i;
+
+const baseName = (name) => name.replace(/\.[^.]+$/, "").toLowerCase();
+
+// The six world file lines: pixel size x, rotation terms, pixel size y (negative),
+// and the centre of the upper-left pixel
+export function parseWorldFile(text) {
+  const values = text.trim().split(/\s+/).map(Number);
+  if (values.length !== 6 || values.some((v) => !Number.isFinite(v))) {
+    throw new Error("World file must contain six numbers");
+  }
+  const [a, d, b, e, c, f] = values;
+  if (a === 0 || e === 0) throw new Error("World file has a zero pixel size");
+  return { a, b, c, d, e, f };
+}
+
+function imageSize(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve({ width: img.naturalWidth, height: img.naturalHeight });
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not decode the image"));
+    };
+    img.src = url;
+  });
+}
+
+// Pick the image and its world file from the selected files and georeference it.
+// `siteCenter` ({ lng, lat }) picks the UTM zone. Returns
+// { name, blob, bounds: [[south, west], [north, east]], warnings }.
+export async function readOrthophoto(files, siteCenter) {
+  const list = [...files];
+  if (list.some((f) => TIFF_EXTENSIONS.test(f.name))) {
+    throw new Error("GeoTIFF can't be displayed by the browser - convert it to PNG with a world file (gdal_translate -of PNG -co WORLDFILE=YES)");
+  }
+
+  const image = list.find((f) => IMAGE_EXTENSIONS.test(f.name));
+  if (!image) throw new Error("Select a PNG or JPEG image together with its world file");
+  const worldFile = list.find((f) => WORLD_EXTENSIONS.test(f.name) && baseName(f.name) === baseName(image.name))
+    || list.find((f) => WORLD_EXTENSIONS.test(f.name));
+  if (!worldFile) throw new Error(`No world file found for ${image.name}`);
+
+  const world = parseWorldFile(await worldFile.text());
+  const { width, height } = await imageSize(image);
+  const warnings = [];
+  if (world.b !== 0 || world.d !== 0) {
+    warnings.push("World file is rotated - the overlay is drawn unrotated");
+  }
+
+  // Outer corners of the image (the world file points at pixel centres)
+  const corners = [[0, 0], [width, 0], [0, height], [width, height]].map(([col, row]) => ({
+    x: world.a * (col - 0.5) + world.b * (row - 0.5) + world.c,
+    y: world.d * (col - 0.5) + world.e * (row - 0.5) + world.f,
+  }));
+
+  const isProjected = corners.some((p) => Math.abs(p.x) > 180 || Math.abs(p.y) > 90);
+  const utm = utmZoneOf(siteCenter.lng, siteCenter.lat);
+  const lngLats = isProjected
+    ? corners.map((p) => utmToLngLat(p.x, p.y, utm))
+    : corners.map((p) => ({ lng: p.x, lat: p.y }));
+  if (isProjected) {
+    warnings.push(`Projected coordinates read as WGS84 / UTM zone ${utm.zone}${utm.south ? "S" : "N"}`);
+  }
+
+  const lngs = lngLats.map((p) => p.lng);
+  const lats = lngLats.map((p) => p.lat);
+  return {
+    name: image.name,
+    blob: image,
+    bounds: [[Math.min(...lats), Math.min(...lngs)], [Math.max(...lats), Math.max(...lngs)]],
+    warnings,
+  };
+}
@@ -0,0 +1,113 @@
+// Panel geometry in SVG canvas space, computed once per layout instead of on every render.
+// The two shortest edges of a panel ring are its ends (left/right, ordered by x then y).
+
+const MIN_END_RADIUS = 0.6;
+const MAX_END_RADIUS = 1.5;
+
+// Drop the closing point of a ring that repeats its first point
+function uniqueRing(coords) {
+  const first = coords[0];
+  const last = coords[coords.length - 1];
+  const isClosed = coords.length > 0 &&
+    Math.abs(first[0] - last[0]) < 1e-9 &&
+    Math.abs(first[1] - last[1]) < 1e-9;
+  return isClosed ? coords.slice(0, -1) : coords;
+}
+
+// Move an end indicator from the edge midpoint towards the panel centre so it sits inside the panel
+function insetPosition(edgeCenter, panelCenter, radius) {
+  const dx = panelCenter.x - edgeCenter.x;
+  const dy = panelCenter.y - edgeCenter.y;
+  const dist = Math.hypot(dx, dy);
+  if (dist === 0) return edgeCenter;
+
+  const ratio = Math.min(dist / 2, radius * 1.5) / dist;
+  return { x: edgeCenter.x + dx * ratio, y: edgeCenter.y + dy * ratio };
+}
+
+export function computePanelGeometry(feature, toSvgCoords) {
+  const coords = feature.geometry.coordinates;
+  if (!coords || coords.length < 2) return null;
+
+  const points = uniqueRing(coords).map((c) => toSvgCoords(c[0], c[1]));
+
+  const edges = points.map((p1, i) => {
+    const p2 = points[(i + 1) % points.length];
+    return {
+      len: Math.hypot(p2.x - p1.x, p2.y - p1.y),
+      center: { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 },
+    };
+  });
+  const shortEdges = [...edges].sort((a, b) => a.len - b.len).slice(0, 2);
+  shortEdges.sort((a, b) => (a.center.x - b.center.x) || (a.center.y - b.center.y));
+
+  const center = {
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+  };
+
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+  points.forEach((p) => {
+    if (p.x < minX) minX = p.x;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.y > maxY) maxY = p.y;
+  });
+
+  const width = shortEdges[0] ? shortEdges[0].len : 10;
+  const endRadius = Math.max(MIN_END_RADIUS, Math.min(MAX_END_RADIUS, width * 0.35));
+  const left = shortEdges[0]?.center || center;
+  const right = shortEdges[1]?.center || center;
+
+  return {
+    panelId: feature.properties.panelId,
+    label: feature.properties.text,
+    points,
+    pointsStr: points.map((p) => `${p.x},${p.y}`).join(" "),
+    bbox: { minX, maxX, minY, maxY },
+    center,
+    // Edge midpoints, used to decide which end a click belongs to
+    left,
+    right,
+    // Indicator positions, inset from the edges
+    leftPos: shortEdges[0] ? insetPosition(left, center, endRadius) : center,
+    rightPos: shortEdges[1] ? insetPosition(right, center, endRadius) : center,
+    endRadius,
+  };
+}
+
+// Geometry for every panel, in feature order, plus a lookup by panel id
+export function buildPanelGeometry(features, toSvgCoords) {
+  const list = [];
+  const byId = new Map();
+  features.forEach((feature) => {
+    const geometry = computePanelGeometry(feature, toSvgCoords);
+    if (!geometry) return;
+    list.push(geometry);
+    byId.set(geometry.panelId, geometry);
+  });
+  return { list, byId };
+}
+
+// Circle as a path segment, so thousands of end markers fit in one <path>
+export const circlePath = ({ x, y }, r) =>
+  `M${x - r},${y}a${r},${r} 0 1,0 ${r * 2},0a${r},${r} 0 1,0 ${-r * 2},0`;
+
+// Labelled panel whose centre is closest to `point`, searched within `maxDist` canvas units
+export function nearestLabelledPanel(panelIndex, point, maxDist) {
+  const candidates = panelIndex.query({
+    minX: point.x - maxDist, maxX: point.x + maxDist,
+    minY: point.y - maxDist, maxY: point.y + maxDist,
+  });
+  let best = null;
+  let bestDist = maxDist;
+  candidates.forEach((geometry) => {
+    if (!geometry.label) return;
+    const dist = Math.hypot(geometry.center.x - point.x, geometry.center.y - point.y);
+    if (dist <= bestDist) {
+      best = geometry;
+      bestDist = dist;
+    }
+  });
+  return best;
+}
@@ -0,0 +1,76 @@
+// Stable panel identity.
+// Panels are keyed by their string label from text.geojson (e.g. "TX2-INV1-STR5"),
+// falling back to the DXF handle when a panel has no label. A string spans more
+// than one table, so repeated labels get a "#n" suffix ordered west → east,
+// south → north - that order survives a CAD re-export, feature order doesn't.
+
+function centroid(coords) {
+  let x = 0;
+  let y = 0;
+  coords.forEach((c) => {
+    x += c[0];
+    y += c[1];
+  });
+  return { x: x / coords.length, y: y / coords.length };
+}
+
+function baseId(feature, index) {
+  const { text, handle } = feature.properties || {};
+  if (text) return text;
+  if (handle !== undefined && handle !== null) return `H${handle}`;
+  return `IDX${index}`;
+}
+
+// Write a unique `panelId` into every feature's properties and return the ids in feature order
+export function assignPanelIds(features) {
+  const groups = {};
+  features.forEach((feature, index) => {
+    const id = baseId(feature, index);
+    if (!groups[id]) groups[id] = [];
+    groups[id].push(feature);
+  });
+
+  Object.entries(groups).forEach(([id, group]) => {
+    if (group.length === 1) {
+      group[0].properties.panelId = id;
+      return;
+    }
+    group
+      .map((feature) => ({ feature, c: centroid(feature.geometry.coordinates) }))
+      .sort((a, b) => (a.c.x - b.c.x) || (a.c.y - b.c.y))
+      .forEach(({ feature }, n) => {
+        feature.properties.panelId = `${id}#${n + 1}`;
+      });
+  });
+
+  return features.map((feature) => feature.properties.panelId);
+}
+
+// Convert states keyed by feature index (schema v1) into states keyed by panel id
+export function indexKeysToPanelIds(states, panelIds) {
+  const converted = {};
+  Object.entries(states || {}).forEach(([key, value]) => {
+    const id = panelIds[Number(key)];
+    converted[id !== undefined ? id : `IDX${key}`] = value;
+  });
+  return converted;
+}
+
+// Map saved per-panel states onto the current layout.
+// Returns the states that still have a panel, the saved states left without one
+// (orphaned) and the ids of panels that weren't in the previously saved layout (added).
+export function reconcilePanelStates(savedStates, panelIds, previousPanelIds) {
+  const current = new Set(panelIds);
+  const states = {};
+  const orphaned = {};
+
+  Object.entries(savedStates || {}).forEach(([id, value]) => {
+    if (current.has(id)) states[id] = value;
+    else orphaned[id] = value;
+  });
+
+  const previous = previousPanelIds ? new Set(previousPanelIds) : null;
+  const added = previous ? panelIds.filter((id) => !previous.has(id)) : [];
+
+  return { states, orphaned, added };
+}
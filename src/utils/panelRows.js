@@ -0,0 +1,63 @@
+// Physical rows: panels lined up end to end along their long axis (tracker rows).
+// A row ends where the next panel is further than the allowed gap or off the row line.
+
+// Unit vector along a panel's long axis (left end → right end)
+function axisOf(geometry) {
+  const dx = geometry.right.x - geometry.left.x;
+  const dy = geometry.right.y - geometry.left.y;
+  const len = Math.hypot(dx, dy) || 1;
+  return { x: dx / len, y: dy / len };
+}
+
+// Panel width across its long axis
+function widthOf(geometry, axis) {
+  const offsets = geometry.points.map((p) => (p.x - geometry.center.x) * -axis.y + (p.y - geometry.center.y) * axis.x);
+  return Math.max(...offsets) - Math.min(...offsets);
+}
+
+// All panels in the same row as `start`, ordered from its left end to its right end.
+// `panelIndex` is the grid index over panel geometries, `maxGap` the largest end-to-end
+// gap (canvas units) still counted as the same row.
+export function findRowPanels(start, panelIndex, maxGap) {
+  const axis = axisOf(start);
+  const tolerance = widthOf(start, axis) / 2;
+  const seen = new Set([start]);
+
+  const isOnRow = (g) => {
+    const a = axisOf(g);
+    const parallel = Math.abs(a.x * axis.y - a.y * axis.x) < 0.1;
+    const offset = Math.abs((g.center.x - start.center.x) * -axis.y + (g.center.y - start.center.y) * axis.x);
+    return parallel && offset < tolerance;
+  };
+
+  // Follow the row from one end of a panel to the nearest panel beyond it
+  const walk = (from, nextEnd) => {
+    const found = [];
+    let current = from;
+    for (;;) {
+      const tip = nextEnd(current);
+      const reach = maxGap + tolerance;
+      const candidates = panelIndex
+        .query({ minX: tip.x - reach, maxX: tip.x + reach, minY: tip.y - reach, maxY: tip.y + reach })
+        .filter((g) => !seen.has(g) && isOnRow(g));
+
+      let next = null;
+      let best = maxGap;
+      candidates.forEach((g) => {
+        const d = Math.min(Math.hypot(g.left.x - tip.x, g.left.y - tip.y), Math.hypot(g.right.x - tip.x, g.right.y - tip.y));
+        if (d <= best) {
+          best = d;
+          next = g;
+        }
+      });
+      if (!next) return found;
+      seen.add(next);
+      found.push(next);
+      current = next;
+    }
+  };
+
+  const before = walk(start, (g) => g.left);
+  const after = walk(start, (g) => g.right);
+  return [...before.reverse(), start, ...after];
+}
@@ -0,0 +1,62 @@
+// Search over panel labels and the electrical hierarchy.
+// Targets are transformers ("TX2"), inverters ("TX2-INV1") and strings
+// ("TX2-INV1-STR17"), each carrying the panel ids it covers.
+
+const collator = new Intl.Collator(undefined, { numeric: true });
+
+// Case, spaces and separators don't matter: "tx2 inv1/str17" finds "TX2-INV1-STR17"
+const normalize = (s) => s.toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+function isSubsequence(query, text) {
+  let i = 0;
+  for (let j = 0; j < text.length && i < query.length; j++) {
+    if (text[j] === query[i]) i++;
+  }
+  return i === query.length;
+}
+
+// Lower is better: exact, prefix, substring, then fuzzy (characters in order)
+function scoreMatch(query, key) {
+  if (key === query) return 0;
+  if (key.startsWith(query)) return 1;
+  if (key.includes(query)) return 2;
+  if (isSubsequence(query, key)) return 3;
+  return null;
+}
+
+// Flatten a tree from buildHierarchy() into searchable targets
+export function buildSearchIndex(tree) {
+  const targets = [];
+  const walk = (node) => {
+    if (node.level !== "site") {
+      targets.push({
+        id: node.id,
+        label: node.id,
+        level: node.level,
+        panelIds: node.panelIds,
+        key: normalize(node.id),
+      });
+    }
+    node.children.forEach(walk);
+  };
+  walk(tree);
+  return targets;
+}
+
+export function searchTargets(index, query, limit = 50) {
+  const q = normalize(query || "");
+  if (!q) return [];
+
+  const matches = index
+    .map((target) => ({ target, score: scoreMatch(q, target.key) }))
+    .filter((m) => m.score !== null);
+
+  // Fuzzy matches are only a fallback when nothing contains the query outright
+  const hasDirect = matches.some((m) => m.score < 3);
+
+  return matches
+    .filter((m) => !hasDirect || m.score < 3)
+    .sort((a, b) => (a.score - b.score) || collator.compare(a.target.label, b.target.label))
+    .slice(0, limit)
+    .map((m) => m.target);
+}
@@ -0,0 +1,15 @@
+// Fill/stroke of the end indicators and panel fills, by workflow stage id.
+// The stroke is the stage colour darkened by a third.
+const darken = (hex) => {
+  const n = parseInt(hex.slice(1), 16);
+  const channel = (shift) => Math.round(((n >> shift) & 255) * 0.67).toString(16).padStart(2, '0');
+  return `#${channel(16)}${channel(8)}${channel(0)}`;
+};
+
+export function buildStageStyles(workflow) {
+  const styles = {};
+  workflow.forEach((stage) => {
+    styles[stage.id] = { fill: stage.color, stroke: darken(stage.color) };
+  });
+  return styles;
+}
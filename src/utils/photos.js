@@ -0,0 +1,56 @@
+// Evidence photos attached to notes and punch items. The original file is kept as a
+// blob; a small JPEG thumbnail (data URL) is generated once so lists, markers and
+// exported reports don't have to decode full-size camera images.
+// Photo: { id, projectId, name, type, blob, thumbnail, width, height, createdAt }
+
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_QUALITY = 0.8;
+
+function loadImage(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Could not decode ${blob.name || "the image"}`));
+    };
+    img.src = url;
+  });
+}
+
+// Longest side scaled down to THUMBNAIL_SIZE; EXIF orientation is applied by the browser
+function makeThumbnail(img) {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+  canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", THUMBNAIL_QUALITY);
+}
+
+export async function createPhoto(file, projectId, at = Date.now()) {
+  if (!file.type.startsWith("image/")) throw new Error(`${file.name} is not an image`);
+  const img = await loadImage(file);
+  return {
+    id: `photo-${at}-${Math.random().toString(36).slice(2, 7)}`,
+    projectId,
+    name: file.name,
+    type: file.type,
+    blob: file,
+    thumbnail: makeThumbnail(img),
+    width: img.naturalWidth,
+    height: img.naturalHeight,
+    createdAt: at,
+  };
+}
+
+// Photo ids still referenced by the given notes / punch items
+export function referencedPhotoIds(...lists) {
+  const ids = new Set();
+  lists.forEach((list) => list.forEach((entry) => (entry.photoIds || []).forEach((id) => ids.add(id))));
+  return ids;
+}
@@ -0,0 +1,332 @@
+// Durable project store backed by IndexedDB.
+// Holds panel end states, notes, photos and the undo history so a page reload on site
+// doesn't wipe a day of marking, plus the layouts of imported solar sites.
+// Progress fields are stored per project under "<projectId>:<field>" keys.
+// The schema is versioned: bump DB_VERSION and append a migration to
+// MIGRATIONS whenever the stored shape changes.
+
+import { BUILTIN_PROJECT_ID } from "./layoutLoader";
+
+const DB_NAME = "mc4-panel-mvp";
+export const DB_VERSION = 6;
+
+const PROJECT_STORE = "project";
+const SNAPSHOT_STORE = "snapshots";
+// Imported sites: metadata in SITE_STORE, the (large) GeoJSON layers in LAYOUT_STORE
+const SITE_STORE = "sites";
+const LAYOUT_STORE = "layouts";
+// Georeferenced orthophoto per project, for the basemap view
+const IMAGERY_STORE = "imagery";
+// Photos attached to notes and punch items, indexed by project
+const PHOTO_STORE = "photos";
+
+const fieldKey = (projectId, field) => `${projectId}:${field}`;
+
+// Undo history is capped so the stored snapshot list can't grow without bound
+export const MAX_HISTORY_ENTRIES = 50;
+
+// MIGRATIONS[n] upgrades a database from version n to n + 1
+const MIGRATIONS = [
+  // 0 → 1: initial schema, one key/value record per project field
+  (db) => {
+    db.createObjectStore(PROJECT_STORE);
+  },
+  // 1 → 2: panel states are keyed by stable panel id instead of feature index.
+  // Existing data is flagged so the app converts it once the layout is loaded.
+  (db, tx, oldVersion) => {
+    if (oldVersion >= 1) {
+      tx.objectStore(PROJECT_STORE).put("index", "panelKey");
+    }
+  },
+  // 2 → 3: panelStates snapshots referenced by daily submissions for auditing
+  (db) => {
+    db.createObjectStore(SNAPSHOT_STORE, { keyPath: "id" });
+  },
+  // 3 → 4: several sites. Existing progress belongs to the built-in site.
+  (db, tx) => {
+    db.createObjectStore(SITE_STORE, { keyPath: "id" });
+    db.createObjectStore(LAYOUT_STORE, { keyPath: "id" });
+
+    const store = tx.objectStore(PROJECT_STORE);
+    const keysRequest = store.getAllKeys();
+    const valuesRequest = store.getAll();
+    valuesRequest.onsuccess = () => {
+      keysRequest.result.forEach((key, i) => {
+        store.put(valuesRequest.result[i], fieldKey(BUILTIN_PROJECT_ID, key));
+        store.delete(key);
+      });
+    };
+  },
+  // 4 → 5: drone orthophotos
+  (db) => {
+    db.createObjectStore(IMAGERY_STORE, { keyPath: "projectId" });
+  },
+  // 5 → 6: photo attachments
+  (db) => {
+    const store = db.createObjectStore(PHOTO_STORE, { keyPath: "id" });
+    store.createIndex("projectId", "projectId");
+  },
+];
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      const tx = request.transaction;
+      for (let v = event.oldVersion; v < DB_VERSION; v++) {
+        MIGRATIONS[v](db, tx, event.oldVersion);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later retry if opening failed (e.g. blocked by another tab)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const EMPTY_PROJECT = {
+  panelStates: {},
+  notes: [],
+  // Undo history: [{ panelStates, notes }]. Entries saved before notes were undoable
+  // are plain panelStates objects, see toHistoryEntry.
+  history: [{ panelStates: {}, notes: [] }],
+  historyIndex: 0,
+  // "index" for states saved before stable panel ids (schema v1), otherwise "id"
+  panelKey: "id",
+  // Panel ids of the layout the states were saved against, for reconciliation
+  layoutPanelIds: null,
+  // Saved states whose panel is missing from the current layout, kept so they aren't lost
+  orphanedPanelStates: {},
+  // Timestamped per-end state changes, see utils/changeLog.js
+  changeLog: [],
+  // Defects attached to panels, see utils/punchList.js
+  punchList: [],
+  // Configured workflow stages, see utils/workflow.js. null = DEFAULT_WORKFLOW
+  workflow: null,
+};
+
+// Undo entries used to be bare panelStates snapshots; those get the saved notes
+function toHistoryEntry(entry, notes) {
+  if (entry && entry.panelStates && Array.isArray(entry.notes)) return entry;
+  return { panelStates: entry || {}, notes };
+}
+
+// Load the saved progress of a project. Always resolves - falls back to an empty
+// project if nothing is stored yet or IndexedDB can't be used.
+export async function loadProject(projectId) {
+  try {
+    const db = await openDB();
+    const store = db.transaction(PROJECT_STORE, "readonly").objectStore(PROJECT_STORE);
+    const keys = Object.keys(EMPTY_PROJECT);
+    const values = await Promise.all(keys.map((key) => requestToPromise(store.get(fieldKey(projectId, key)))));
+
+    const project = { ...EMPTY_PROJECT };
+    keys.forEach((key, i) => {
+      if (values[i] !== undefined) project[key] = values[i];
+    });
+
+    // Guard against a history/index pair that no longer lines up
+    if (!Array.isArray(project.history) || project.history.length === 0) {
+      project.history = [{ panelStates: project.panelStates, notes: project.notes }];
+      project.historyIndex = 0;
+    }
+    project.history = project.history.map((entry) => toHistoryEntry(entry, project.notes));
+    project.historyIndex = Math.min(Math.max(project.historyIndex, 0), project.history.length - 1);
+
+    return project;
+  } catch (e) {
+    console.error("Error loading project from IndexedDB:", e);
+    return { ...EMPTY_PROJECT };
+  }
+}
+
+// Save the given project fields; fields that aren't passed are left untouched
+export async function saveProject(projectId, fields) {
+  const values = { ...fields };
+
+  // Keep only the newest entries, shifting the index along with them
+  if (values.history) {
+    const overflow = Math.max(0, values.history.length - MAX_HISTORY_ENTRIES);
+    values.history = values.history.slice(overflow);
+    values.historyIndex = Math.max(0, (values.historyIndex ?? 0) - overflow);
+  }
+
+  try {
+    const db = await openDB();
+    const tx = db.transaction(PROJECT_STORE, "readwrite");
+    const store = tx.objectStore(PROJECT_STORE);
+    Object.entries(values).forEach(([key, value]) => {
+      if (key in EMPTY_PROJECT && value !== undefined) store.put(value, fieldKey(projectId, key));
+    });
+
+    await transactionDone(tx);
+  } catch (e) {
+    console.error("Error saving project to IndexedDB:", e);
+  }
+}
+
+// Store a copy of panelStates and return its id, so a daily record can point at
+// exactly what the map looked like when it was submitted. Ids start with the
+// project id so a site's snapshots can be found (and deleted) by key range.
+// Throws on failure, so the submission can report it.
+export async function saveSnapshot(projectId, panelStates) {
+  const snapshot = {
+    id: fieldKey(projectId, `snap-${Date.now()}`),
+    projectId,
+    taken_at: new Date().toISOString(),
+    panelStates,
+  };
+
+  const db = await openDB();
+  await requestToPromise(
+    db.transaction(SNAPSHOT_STORE, "readwrite").objectStore(SNAPSHOT_STORE).put(snapshot)
+  );
+  return snapshot.id;
+}
+
+export async function loadSnapshot(id) {
+  try {
+    const db = await openDB();
+    const snapshot = await requestToPromise(
+      db.transaction(SNAPSHOT_STORE, "readonly").objectStore(SNAPSHOT_STORE).get(id)
+    );
+    return snapshot || null;
+  } catch (e) {
+    console.error("Error loading snapshot from IndexedDB:", e);
+    return null;
+  }
+}
+
+// Imported sites, without their layers: [{ id, name, createdAt, panelCount }]
+export async function listSites() {
+  try {
+    const db = await openDB();
+    const sites = await requestToPromise(
+      db.transaction(SITE_STORE, "readonly").objectStore(SITE_STORE).getAll()
+    );
+    return sites.sort((a, b) => a.name.localeCompare(b.name));
+  } catch (e) {
+    console.error("Error listing sites from IndexedDB:", e);
+    return [];
+  }
+}
+
+export async function saveSite(site, layers) {
+  const db = await openDB();
+  const tx = db.transaction([SITE_STORE, LAYOUT_STORE], "readwrite");
+  tx.objectStore(SITE_STORE).put(site);
+  tx.objectStore(LAYOUT_STORE).put({ id: site.id, layers });
+  await transactionDone(tx);
+}
+
+export async function loadSiteLayers(siteId) {
+  const db = await openDB();
+  const layout = await requestToPromise(
+    db.transaction(LAYOUT_STORE, "readonly").objectStore(LAYOUT_STORE).get(siteId)
+  );
+  if (!layout) throw new Error(`No stored layout for site ${siteId}`);
+  return layout.layers;
+}
+
+// Remove a site together with all of its saved progress
+export async function deleteSite(siteId) {
+  const db = await openDB();
+  const tx = db.transaction([SITE_STORE, LAYOUT_STORE, PROJECT_STORE, SNAPSHOT_STORE, IMAGERY_STORE, PHOTO_STORE], "readwrite");
+  tx.objectStore(SITE_STORE).delete(siteId);
+  tx.objectStore(LAYOUT_STORE).delete(siteId);
+  tx.objectStore(IMAGERY_STORE).delete(siteId);
+  const photoKeys = tx.objectStore(PHOTO_STORE).index("projectId").getAllKeys(siteId);
+  photoKeys.onsuccess = () => {
+    photoKeys.result.forEach((key) => tx.objectStore(PHOTO_STORE).delete(key));
+  };
+  const siteKeys = IDBKeyRange.bound(fieldKey(siteId, ""), fieldKey(siteId, "\uffff"));
+  tx.objectStore(PROJECT_STORE).delete(siteKeys);
+  tx.objectStore(SNAPSHOT_STORE).delete(siteKeys);
+  await transactionDone(tx);
+}
+
+// Orthophoto of a project: { projectId, name, blob, bounds }, or null
+export async function loadImagery(projectId) {
+  try {
+    const db = await openDB();
+    const imagery = await requestToPromise(
+      db.transaction(IMAGERY_STORE, "readonly").objectStore(IMAGERY_STORE).get(projectId)
+    );
+    return imagery || null;
+  } catch (e) {
+    console.error("Error loading imagery from IndexedDB:", e);
+    return null;
+  }
+}
+
+export async function saveImagery(imagery) {
+  const db = await openDB();
+  await requestToPromise(
+    db.transaction(IMAGERY_STORE, "readwrite").objectStore(IMAGERY_STORE).put(imagery)
+  );
+}
+
+export async function deleteImagery(projectId) {
+  const db = await openDB();
+  await requestToPromise(
+    db.transaction(IMAGERY_STORE, "readwrite").objectStore(IMAGERY_STORE).delete(projectId)
+  );
+}
+
+// All photos of a project (see utils/photos.js)
+export async function listPhotos(projectId) {
+  try {
+    const db = await openDB();
+    return await requestToPromise(
+      db.transaction(PHOTO_STORE, "readonly").objectStore(PHOTO_STORE).index("projectId").getAll(projectId)
+    );
+  } catch (e) {
+    console.error("Error loading photos from IndexedDB:", e);
+    return [];
+  }
+}
+
+export async function savePhotos(photos) {
+  const db = await openDB();
+  const tx = db.transaction(PHOTO_STORE, "readwrite");
+  photos.forEach((photo) => tx.objectStore(PHOTO_STORE).put(photo));
+  await transactionDone(tx);
+}
+
+export async function deletePhotos(ids) {
+  const db = await openDB();
+  const tx = db.transaction(PHOTO_STORE, "readwrite");
+  ids.forEach((id) => tx.objectStore(PHOTO_STORE).delete(id));
+  await transactionDone(tx);
+}
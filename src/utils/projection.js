@@ -0,0 +1,123 @@
+// Local equirectangular projection centred on the site.
+// Over a solar site (a few km) the error against UTM is well below a centimetre
+// per metre, so canvas distances can be converted to metres and trusted. The
+// projected site is scaled uniformly into the canvas, keeping its true aspect ratio.
+
+const EARTH_RADIUS_M = 6371008.8;
+const DEG = Math.PI / 180;
+
+// Largest canvas the site is fitted into (canvas units, not pixels)
+export const MAX_CANVAS_WIDTH = 1200;
+export const MAX_CANVAS_HEIGHT = 900;
+
+export function createLocalProjection({ minLng, maxLng, minLat, maxLat }) {
+  const lat0 = (minLat + maxLat) / 2;
+  // Metres per degree at the site centre
+  const mPerDegLng = EARTH_RADIUS_M * DEG * Math.cos(lat0 * DEG);
+  const mPerDegLat = EARTH_RADIUS_M * DEG;
+
+  const widthM = (maxLng - minLng) * mPerDegLng;
+  const heightM = (maxLat - minLat) * mPerDegLat;
+  // Canvas units per metre, the same on both axes
+  const scale = Math.min(MAX_CANVAS_WIDTH / widthM, MAX_CANVAS_HEIGHT / heightM);
+
+  const kx = mPerDegLng * scale;
+  const ky = mPerDegLat * scale;
+
+  return {
+    width: widthM * scale,
+    height: heightM * scale,
+    metersPerUnit: 1 / scale,
+    toSvg: (lng, lat) => ({ x: (lng - minLng) * kx, y: (maxLat - lat) * ky }),
+    fromSvg: (x, y) => ({ lng: minLng + x / kx, lat: maxLat - y / ky }),
+  };
+}
+
+// The canvas used before the local projection: lng/lat stretched linearly over the
+// padded layout bounds into 1200 × 900 units, distorting the site's aspect ratio.
+// Notes were stored in it (svgX / svgY); it is only kept to convert those.
+const LEGACY_CANVAS_WIDTH = 1200;
+const LEGACY_CANVAS_HEIGHT = 900;
+
+export function createLegacyCanvasMapping({ minLng, maxLng, minLat, maxLat }) {
+  return {
+    toSvg: (lng, lat) => ({
+      x: ((lng - minLng) / (maxLng - minLng)) * LEGACY_CANVAS_WIDTH,
+      y: ((maxLat - lat) / (maxLat - minLat)) * LEGACY_CANVAS_HEIGHT,
+    }),
+    fromSvg: (x, y) => ({
+      lng: minLng + (x / LEGACY_CANVAS_WIDTH) * (maxLng - minLng),
+      lat: maxLat - (y / LEGACY_CANVAS_HEIGHT) * (maxLat - minLat),
+    }),
+  };
+}
+
+// WGS84 ellipsoid, for UTM
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const UTM_K0 = 0.9996;
+
+// UTM zone (1-60) and hemisphere of a lng/lat position
+export function utmZoneOf(lng, lat) {
+  return { zone: Math.min(60, Math.floor((lng + 180) / 6) + 1), south: lat < 0 };
+}
+
+// Inverse UTM (WGS84) to lng/lat, Snyder's series - sub-metre within a zone
+export function utmToLngLat(easting, northing, { zone, south }) {
+  const e2 = WGS84_F * (2 - WGS84_F);
+  const ep2 = e2 / (1 - e2);
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+  const x = easting - 500000;
+  const y = south ? northing - 10000000 : northing;
+  const mu = y / UTM_K0 / (WGS84_A * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256));
+  const phi1 = mu
+    + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu)
+    + (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu)
+    + (151 * e1 ** 3 / 96) * Math.sin(6 * mu)
+    + (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+  const sin1 = Math.sin(phi1);
+  const cos1 = Math.cos(phi1);
+  const n1 = WGS84_A / Math.sqrt(1 - e2 * sin1 * sin1);
+  const t1 = Math.tan(phi1) ** 2;
+  const c1 = ep2 * cos1 * cos1;
+  const r1 = WGS84_A * (1 - e2) / Math.pow(1 - e2 * sin1 * sin1, 1.5);
+  const d = x / (n1 * UTM_K0);
+
+  const lat = phi1 - (n1 * Math.tan(phi1) / r1) * (
+    d * d / 2
+    - (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * d ** 4 / 24
+    + (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * d ** 6 / 720
+  );
+  const lng0 = (zone - 1) * 6 - 180 + 3;
+  const lng = lng0 + (
+    d
+    - (1 + 2 * t1 + c1) * d ** 3 / 6
+    + (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * d ** 5 / 120
+  ) / cos1 / DEG;
+
+  return { lng, lat: lat / DEG };
+}
+
+// Round a length down to a 1/2/5 × 10^n step, for scale bars
+export function niceLength(meters) {
+  const exp = Math.pow(10, Math.floor(Math.log10(meters)));
+  const f = meters / exp;
+  return (f >= 5 ? 5 : f >= 2 ? 2 : 1) * exp;
+}
+
+export function formatMeters(meters) {
+  if (meters >= 1000) return `${+(meters / 1000).toFixed(2)} km`;
+  if (meters >= 10) return `${Math.round(meters)} m`;
+  return `${meters.toFixed(1)} m`;
+}
+
+// Length of a canvas-space polyline in metres
+export function polylineMeters(points, metersPerUnit) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length * metersPerUnit;
+}
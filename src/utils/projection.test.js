@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { createLegacyCanvasMapping, createLocalProjection, MAX_CANVAS_HEIGHT, MAX_CANVAS_WIDTH } from "./projection";
+import { migrateCanvasNotes } from "./notes";
+
+const bounds = { minLng: -3.71, maxLng: -3.69, minLat: 40.41, maxLat: 40.42 };
+
+describe("createLocalProjection", () => {
+  it("fits the site into the canvas keeping its aspect ratio", () => {
+    const projection = createLocalProjection(bounds);
+    expect(projection.width).toBeLessThanOrEqual(MAX_CANVAS_WIDTH + 1e-9);
+    expect(projection.height).toBeLessThanOrEqual(MAX_CANVAS_HEIGHT + 1e-9);
+    // About 1.69 km wide and 1.11 km high at this latitude
+    expect(projection.width * projection.metersPerUnit).toBeCloseTo(1695, -1);
+    expect(projection.height * projection.metersPerUnit).toBeCloseTo(1112, -1);
+  });
+
+  it("round-trips lng/lat", () => {
+    const projection = createLocalProjection(bounds);
+    const { x, y } = projection.toSvg(-3.7, 40.415);
+    const { lng, lat } = projection.fromSvg(x, y);
+    expect(lng).toBeCloseTo(-3.7, 10);
+    expect(lat).toBeCloseTo(40.415, 10);
+  });
+});
+
+describe("createLegacyCanvasMapping", () => {
+  it("stretches the bounds over 1200 × 900 units", () => {
+    const legacy = createLegacyCanvasMapping(bounds);
+    expect(legacy.toSvg(bounds.minLng, bounds.maxLat)).toEqual({ x: 0, y: 0 });
+    const corner = legacy.toSvg(bounds.maxLng, bounds.minLat);
+    expect(corner.x).toBeCloseTo(1200);
+    expect(corner.y).toBeCloseTo(900);
+  });
+});
+
+describe("migrateCanvasNotes", () => {
+  it("converts canvas notes through the legacy mapping and keeps anchored ones", () => {
+    const legacy = createLegacyCanvasMapping(bounds);
+    const { x, y } = legacy.toSvg(-3.7, 40.415);
+    const anchored = { id: 2, lng: -3.695, lat: 40.411, text: "kept" };
+    const [converted, kept] = migrateCanvasNotes([{ id: 1, svgX: x, svgY: y, text: "moved" }, anchored], bounds);
+    expect(converted).not.toHaveProperty("svgX");
+    expect(converted.lng).toBeCloseTo(-3.7, 10);
+    expect(converted.lat).toBeCloseTo(40.415, 10);
+    expect(converted.text).toBe("moved");
+    expect(kept).toBe(anchored);
+  });
+
+  it("leaves notes as they are without bounds", () => {
+    const notes = [{ id: 1, svgX: 10, svgY: 10 }];
+    expect(migrateCanvasNotes(notes, null)).toBe(notes);
+  });
+});
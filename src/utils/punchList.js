@@ -0,0 +1,79 @@
+// Punch list: defects found on site, each attached to a panel end or a whole panel.
+// Items: { id, panelId, side ("left" | "right" | "panel"), category, severity,
+// status ("open" | "closed"), assignee, description, photoIds, createdAt, updatedAt, closedAt }
+// with timestamps in ms, like the change log.
+
+export const PUNCH_CATEGORIES = [
+  { id: "damaged_connector", label: "Damaged connector" },
+  { id: "wrong_polarity", label: "Wrong polarity" },
+  { id: "missing_clip", label: "Missing clip" },
+  { id: "other", label: "Other" },
+];
+
+export const PUNCH_SEVERITIES = [
+  { id: "low", label: "Low" },
+  { id: "medium", label: "Medium" },
+  { id: "high", label: "High" },
+];
+
+export const PUNCH_STATUSES = [
+  { id: "open", label: "Open", color: "#e74c3c" },
+  { id: "closed", label: "Closed", color: "#2ecc71" },
+];
+
+export const SIDE_LABELS = { left: "Left end", right: "Right end", panel: "Whole panel" };
+
+const labelOf = (list, id) => list.find((entry) => entry.id === id)?.label || id;
+export const categoryLabel = (id) => labelOf(PUNCH_CATEGORIES, id);
+export const severityLabel = (id) => labelOf(PUNCH_SEVERITIES, id);
+export const statusColor = (id) => PUNCH_STATUSES.find((s) => s.id === id)?.color || "#9ca3af";
+
+export function createPunchItem(panelId, side, at = Date.now()) {
+  return {
+    id: `punch-${at}-${Math.random().toString(36).slice(2, 7)}`,
+    panelId,
+    side,
+    category: PUNCH_CATEGORIES[0].id,
+    severity: "medium",
+    status: "open",
+    assignee: "",
+    description: "",
+    photoIds: [],
+    createdAt: at,
+    updatedAt: at,
+    closedAt: null,
+  };
+}
+
+// Apply edited fields, keeping updatedAt / closedAt in step with the status
+export function updatePunchItem(item, fields, at = Date.now()) {
+  const next = { ...item, ...fields, updatedAt: at };
+  if (fields.status && fields.status !== item.status) {
+    next.closedAt = fields.status === "closed" ? at : null;
+  }
+  return next;
+}
+
+// Canvas position of an item's marker: the end it is attached to, or the panel centre
+export function punchItemPosition(item, geometry) {
+  if (item.side === "left") return geometry.leftPos;
+  if (item.side === "right") return geometry.rightPos;
+  return geometry.center;
+}
+
+// Filters: { status, category, severity, assignee, text }; "" / undefined = any.
+// `labelOfPanel(panelId)` resolves the panel's string label for text search.
+export function filterPunchItems(items, filters, labelOfPanel = () => "") {
+  const text = (filters.text || "").trim().toLowerCase();
+  return items.filter((item) => {
+    if (filters.status && item.status !== filters.status) return false;
+    if (filters.category && item.category !== filters.category) return false;
+    if (filters.severity && item.severity !== filters.severity) return false;
+    if (filters.assignee && item.assignee !== filters.assignee) return false;
+    if (text) {
+      const haystack = `${item.description} ${item.assignee} ${labelOfPanel(item.panelId)}`.toLowerCase();
+      if (!haystack.includes(text)) return false;
+    }
+    return true;
+  });
+}
@@ -0,0 +1,9 @@
+// How a left/right drag or click on the map picks panels (see components/SelectionTools).
+// Left = apply the active status tool to the picked panels, right = clear them.
+export const SELECTION_TOOLS = [
+  { id: "rect", icon: "▭", label: "Rectangle", hint: "Drag a box" },
+  { id: "lasso", icon: "➰", label: "Lasso", hint: "Drag a freehand outline around the panels" },
+  { id: "polygon", icon: "⬠", label: "Polygon", hint: "Click to place corners · double-click, Enter or click the first corner to apply · Esc to cancel" },
+  { id: "string", icon: "🔗", label: "Whole string", hint: "Click a panel to pick every panel with its string label" },
+  { id: "row", icon: "↔️", label: "Whole row", hint: "Click a panel to pick its physical row" },
+];
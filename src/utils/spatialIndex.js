@@ -0,0 +1,57 @@
+// Uniform grid index over bounding boxes ({ minX, maxX, minY, maxY }) in SVG canvas space.
+// Panels are small and evenly spread, so a grid is as effective as an R-tree here.
+
+export function createGridIndex(items, getBBox, cellSize = 20) {
+  const cells = new Map();
+  const cellKey = (cx, cy) => `${cx}:${cy}`;
+  // Occupied cell range, so a query far larger than the site doesn't walk empty cells
+  const extent = { x0: Infinity, x1: -Infinity, y0: Infinity, y1: -Infinity };
+
+  const forEachCell = (bbox, fn) => {
+    const x0 = Math.max(Math.floor(bbox.minX / cellSize), extent.x0);
+    const x1 = Math.min(Math.floor(bbox.maxX / cellSize), extent.x1);
+    const y0 = Math.max(Math.floor(bbox.minY / cellSize), extent.y0);
+    const y1 = Math.min(Math.floor(bbox.maxY / cellSize), extent.y1);
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        fn(cellKey(cx, cy));
+      }
+    }
+  };
+
+  items.forEach((item) => {
+    const b = getBBox(item);
+    extent.x0 = Math.min(extent.x0, Math.floor(b.minX / cellSize));
+    extent.x1 = Math.max(extent.x1, Math.floor(b.maxX / cellSize));
+    extent.y0 = Math.min(extent.y0, Math.floor(b.minY / cellSize));
+    extent.y1 = Math.max(extent.y1, Math.floor(b.maxY / cellSize));
+  });
+
+  items.forEach((item) => {
+    forEachCell(getBBox(item), (key) => {
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(item);
+    });
+  });
+
+  // Items whose bbox intersects the given bbox, each returned once
+  const query = (bbox) => {
+    const seen = new Set();
+    const result = [];
+    forEachCell(bbox, (key) => {
+      const bucket = cells.get(key);
+      if (!bucket) return;
+      bucket.forEach((item) => {
+        if (seen.has(item)) return;
+        seen.add(item);
+        const b = getBBox(item);
+        if (b.maxX >= bbox.minX && b.minX <= bbox.maxX && b.maxY >= bbox.minY && b.minY <= bbox.maxY) {
+          result.push(item);
+        }
+      });
+    });
+    return result;
+  };
+
+  return { query };
+}
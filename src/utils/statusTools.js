@@ -0,0 +1,16 @@
+// What a click or selection does to panels (see components/StatusTools). The set/clear
+// tools apply exactly one target state, so dragging over finished work can't advance or wipe it.
+// One "set" tool per workflow stage (shortcuts 1-9), then clear and cycle.
+export function statusToolsFor(workflow, stageStyles) {
+  return [
+    ...workflow.map((stage, i) => ({
+      id: stage.id,
+      label: `Set ${stage.name}`,
+      shortcut: i < 9 ? String(i + 1) : null,
+      swatch: stageStyles[stage.id],
+      isPanelStage: stage.scope === "panel",
+    })),
+    { id: "clear", label: "Clear", shortcut: "0", icon: "⌫" },
+    { id: "cycle", label: "Cycle", shortcut: "C", icon: "🔄" },
+  ];
+}
@@ -0,0 +1,101 @@
+// Subcontractor registry, shared by all sites on this device:
+// { id, name, code, contactName, phone, email, defaultCrewSize, active, mergedInto }.
+// Daily log records reference a company by `subcontractor_id` and keep the name it
+// had at submission in `subcontractor`; older records only have that free-text name.
+// A duplicate merged into another entry is kept with `mergedInto` so records of other
+// sites that still point at it resolve to the surviving entry.
+
+export const normalizeName = (name) => (name || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+// Short code for chart labels: initials of a multi-word name, otherwise the first
+// letters, extended with a number until it is unique
+export function suggestCode(name, takenCodes = []) {
+  const words = name.trim().split(/\s+/).filter(Boolean);
+  const base = (words.length > 1 ? words.map((w) => w[0]).join("") : words[0] || "SUB")
+    .slice(0, 3)
+    .toUpperCase();
+  const taken = new Set(takenCodes.map((code) => code.toUpperCase()));
+  if (!taken.has(base)) return base;
+  for (let i = 2; ; i++) {
+    if (!taken.has(`${base}${i}`)) return `${base}${i}`;
+  }
+}
+
+export function createSubcontractor(name, registry, at = Date.now()) {
+  const canonical = name.trim().replace(/\s+/g, " ");
+  return {
+    id: `sub-${at}-${Math.random().toString(36).slice(2, 7)}`,
+    name: canonical,
+    code: suggestCode(canonical, registry.map((sub) => sub.code)),
+    contactName: "",
+    phone: "",
+    email: "",
+    defaultCrewSize: 1,
+    active: true,
+    mergedInto: null,
+  };
+}
+
+// Problems that block saving an entry, or null
+export function validateSubcontractor(sub, registry) {
+  if (!sub.name.trim()) return "Name is required";
+  if (!sub.code.trim()) return "Code is required";
+  const others = listedSubcontractors(registry).filter((other) => other.id !== sub.id);
+  if (others.some((other) => normalizeName(other.name) === normalizeName(sub.name))) {
+    return `"${sub.name.trim()}" is already registered`;
+  }
+  if (others.some((other) => other.code.toUpperCase() === sub.code.trim().toUpperCase())) {
+    return `Code ${sub.code.trim().toUpperCase()} is already used`;
+  }
+  return null;
+}
+
+// Entries shown and offered for selection (merged duplicates are hidden)
+export const listedSubcontractors = (registry) =>
+  registry.filter((sub) => !sub.mergedInto).sort((a, b) => a.name.localeCompare(b.name));
+
+export const findByName = (registry, name) =>
+  listedSubcontractors(registry).find((sub) => normalizeName(sub.name) === normalizeName(name)) || null;
+
+// Entry by id, following merges
+export function findById(registry, id) {
+  let sub = registry.find((entry) => entry.id === id);
+  for (let hops = 0; sub?.mergedInto && hops < registry.length; hops++) {
+    sub = registry.find((entry) => entry.id === sub.mergedInto);
+  }
+  return sub || null;
+}
+
+// Registry entry of a daily log record, by id or (for unlinked records) by name
+export const subcontractorOf = (record, registry) =>
+  record.subcontractor_id ? findById(registry, record.subcontractor_id) : findByName(registry, record.subcontractor);
+
+// Free-text names of records not linked to the registry, grouped by normalised name:
+// [{ key, names, count, match }], where `match` is the registry entry with that name
+export function unlinkedNames(dailyLog, registry) {
+  const groups = new Map();
+  dailyLog.forEach((record) => {
+    if (record.subcontractor_id || !normalizeName(record.subcontractor)) return;
+    const key = normalizeName(record.subcontractor);
+    if (!groups.has(key)) groups.set(key, { key, names: new Set(), count: 0 });
+    const group = groups.get(key);
+    group.names.add(record.subcontractor);
+    group.count++;
+  });
+  return [...groups.values()]
+    .map((group) => ({ ...group, names: [...group.names], match: findByName(registry, group.key) }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+// Point records at `target`: unlinked records whose normalised name is in `names`,
+// and records linked to one of `fromIds` (registry duplicates being merged away)
+export function relinkRecords(dailyLog, { names = [], fromIds = [] }, target) {
+  const nameKeys = new Set(names.map(normalizeName));
+  const ids = new Set(fromIds);
+  return dailyLog.map((record) => {
+    const matches = record.subcontractor_id
+      ? ids.has(record.subcontractor_id)
+      : nameKeys.has(normalizeName(record.subcontractor));
+    return matches ? { ...record, subcontractor_id: target.id, subcontractor: target.name } : record;
+  });
+}
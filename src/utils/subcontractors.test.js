@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import {
+  createSubcontractor, findById, findByName, relinkRecords, subcontractorOf, suggestCode, unlinkedNames, validateSubcontractor,
+} from "./subcontractors";
+
+const entry = (id, name, code, extra = {}) => ({ id, name, code, active: true, mergedInto: null, ...extra });
+
+describe("suggestCode", () => {
+  it("uses initials or the first letters, numbered until unique", () => {
+    expect(suggestCode("Solar Install Group")).toBe("SIG");
+    expect(suggestCode("electrica")).toBe("ELE");
+    expect(suggestCode("Elec", ["ele", "ELE2"])).toBe("ELE3");
+  });
+});
+
+describe("createSubcontractor", () => {
+  it("tidies the name and picks a free code", () => {
+    const sub = createSubcontractor("  Acme   Solar ", [entry("x", "Ace Service", "AS")]);
+    expect(sub).toMatchObject({ name: "Acme Solar", code: "AS2", active: true, mergedInto: null });
+  });
+});
+
+describe("validateSubcontractor", () => {
+  const registry = [entry("a", "Acme", "ACM"), entry("old", "Beta", "BET", { mergedInto: "a" })];
+
+  it("rejects names and codes already used by listed entries", () => {
+    expect(validateSubcontractor(entry("n", " acme ", "NEW"), registry)).toMatch(/already registered/);
+    expect(validateSubcontractor(entry("n", "Other", "acm"), registry)).toMatch(/already used/);
+  });
+
+  it("ignores merged entries and the entry itself", () => {
+    expect(validateSubcontractor(entry("n", "Beta", "BET"), registry)).toBe(null);
+    expect(validateSubcontractor(registry[0], registry)).toBe(null);
+  });
+});
+
+describe("merges", () => {
+  const registry = [
+    entry("a", "Acme", "ACM", { mergedInto: "b" }),
+    entry("b", "Acme Solar", "AS", { mergedInto: "c" }),
+    entry("c", "Acme Solar Group", "ASG"),
+  ];
+
+  it("follows merge chains by id", () => {
+    expect(findById(registry, "a").id).toBe("c");
+    expect(findById(registry, "missing")).toBe(null);
+  });
+
+  it("stops on merge cycles", () => {
+    const cyclic = [entry("a", "A", "A", { mergedInto: "b" }), entry("b", "B", "B", { mergedInto: "a" })];
+    expect(findById(cyclic, "a")).not.toBe(null);
+  });
+
+  it("finds unlinked records by name among listed entries only", () => {
+    expect(findByName(registry, "acme")).toBe(null);
+    expect(subcontractorOf({ subcontractor: " Acme  Solar group" }, registry).id).toBe("c");
+    expect(subcontractorOf({ subcontractor_id: "b", subcontractor: "Acme Solar" }, registry).id).toBe("c");
+  });
+});
+
+describe("linking", () => {
+  const log = [
+    { id: 1, subcontractor: "Acme" },
+    { id: 2, subcontractor: " acme " },
+    { id: 3, subcontractor: "Beta" },
+    { id: 4, subcontractor_id: "dup", subcontractor: "Acme Dup" },
+  ];
+
+  it("groups unlinked names by normalised name", () => {
+    const groups = unlinkedNames(log, [entry("b", "Beta", "BET")]);
+    expect(groups.map(({ key, names, count }) => ({ key, names, count }))).toEqual([
+      { key: "acme", names: ["Acme", " acme "], count: 2 },
+      { key: "beta", names: ["Beta"], count: 1 },
+    ]);
+    expect(groups[1].match.id).toBe("b");
+  });
+
+  it("relinks records by name and by merged id", () => {
+    const target = entry("a", "Acme", "ACM");
+    const relinked = relinkRecords(log, { names: ["ACME"], fromIds: ["dup"] }, target);
+    expect(relinked.map((record) => record.subcontractor_id ?? null)).toEqual(["a", "a", null, "a"]);
+    expect(relinked[3].subcontractor).toBe("Acme");
+    expect(relinked[2]).toBe(log[2]);
+  });
+});
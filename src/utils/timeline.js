@@ -0,0 +1,106 @@
+// Time-travel over the change log. The log may start after the project did (its
+// baseline is whatever was restored when logging began), so past states are
+// rebuilt backwards: start from the current panelStates and undo every change
+// made after the requested time.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function statesAt(panelStates, changeLog, at) {
+  const states = { ...panelStates };
+  for (let i = changeLog.length - 1; i >= 0 && changeLog[i].at > at; i--) {
+    const { panelId, side, from } = changeLog[i];
+    const next = { ...states[panelId], [side]: from };
+    if (!from) delete next[side];
+    states[panelId] = next;
+  }
+  return states;
+}
+
+// Local midnight at or before `ms`
+const startOfDay = (ms) => {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+};
+
+// Playback frames from the first logged change to `end`: the end of every day or
+// every week (weeks start on Monday), plus `end` itself as the last frame
+export function timelineSteps(changeLog, step, end = Date.now()) {
+  if (changeLog.length === 0) return [end];
+  let t = startOfDay(changeLog[0].at);
+  if (step === "week") {
+    const weekday = (new Date(t).getDay() + 6) % 7;
+    t -= weekday * DAY_MS;
+  }
+  const stepDays = step === "week" ? 7 : 1;
+  const steps = [];
+  for (;;) {
+    const next = new Date(t);
+    next.setDate(next.getDate() + stepDays); // calendar days, so DST shifts don't drift
+    t = next.getTime();
+    if (t >= end) break;
+    steps.push(t - 1);
+  }
+  steps.push(end);
+  return steps;
+}
+
+// Canvas rendering of one playback frame: the area of `viewBox` at `width` pixels
+// wide, panels coloured like the map, with a caption in the top left corner
+export function drawFrame(ctx, { geometries, states, stageStyles, viewBox, width, height, caption }) {
+  const scale = width / viewBox.width;
+  ctx.save();
+  ctx.fillStyle = "#0b1220";
+  ctx.fillRect(0, 0, width, height);
+  ctx.setTransform(scale, 0, 0, scale, -viewBox.x * scale, -viewBox.y * scale);
+
+  const inView = geometries.filter(({ bbox }) =>
+    bbox.maxX >= viewBox.x && bbox.minX <= viewBox.x + viewBox.width &&
+    bbox.maxY >= viewBox.y && bbox.minY <= viewBox.y + viewBox.height
+  );
+  const ring = (points) => {
+    const path = new Path2D();
+    points.forEach(({ x, y }, i) => (i === 0 ? path.moveTo(x, y) : path.lineTo(x, y)));
+    path.closePath();
+    return path;
+  };
+
+  ctx.lineWidth = 0.25;
+  ctx.strokeStyle = "#64748b";
+  inView.forEach((g) => {
+    const path = ring(g.points);
+    const panelStyle = stageStyles[states[g.panelId]?.panel];
+    if (panelStyle) {
+      ctx.globalAlpha = 0.4;
+      ctx.fillStyle = panelStyle.fill;
+      ctx.fill(path);
+      ctx.globalAlpha = 1;
+    }
+    ctx.stroke(path);
+  });
+
+  ctx.lineWidth = 0.15;
+  inView.forEach((g) => {
+    const state = states[g.panelId];
+    if (!state) return;
+    [[g.leftPos, state.left], [g.rightPos, state.right]].forEach(([pos, stageId]) => {
+      const style = stageStyles[stageId];
+      if (!style) return;
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, g.endRadius, 0, Math.PI * 2);
+      ctx.fillStyle = style.fill;
+      ctx.strokeStyle = style.stroke;
+      ctx.fill();
+      ctx.stroke();
+    });
+  });
+  ctx.restore();
+
+  ctx.font = "bold 20px sans-serif";
+  const lines = caption.split("\n");
+  const boxWidth = Math.max(...lines.map((line) => ctx.measureText(line).width)) + 24;
+  ctx.fillStyle = "rgba(15, 23, 42, 0.85)";
+  ctx.fillRect(12, 12, boxWidth, lines.length * 26 + 14);
+  ctx.fillStyle = "#e5e7eb";
+  lines.forEach((line, i) => ctx.fillText(line, 24, 40 + i * 26));
+}
@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { statesAt, timelineSteps } from "./timeline";
+
+const log = [
+  { panelId: "a", side: "left", from: null, to: "mc4", at: 10 },
+  { panelId: "a", side: "left", from: "mc4", to: "terminated", at: 20 },
+  { panelId: "b", side: "panel", from: null, to: "defect", at: 30 },
+];
+const current = { a: { left: "terminated" }, b: { panel: "defect" } };
+
+describe("statesAt", () => {
+  it("rebuilds past states by undoing later changes", () => {
+    expect(statesAt(current, log, 20)).toEqual({ a: { left: "terminated" }, b: {} });
+    expect(statesAt(current, log, 15)).toEqual({ a: { left: "mc4" }, b: {} });
+    expect(statesAt(current, log, 0)).toEqual({ a: {}, b: {} });
+  });
+
+  it("keeps the baseline the log started from", () => {
+    expect(statesAt({ ...current, c: { right: "mc4" } }, log, 0).c).toEqual({ right: "mc4" });
+  });
+
+  it("doesn't modify the current states", () => {
+    statesAt(current, log, 0);
+    expect(current).toEqual({ a: { left: "terminated" }, b: { panel: "defect" } });
+  });
+});
+
+describe("timelineSteps", () => {
+  it("ends every day, then at the end time", () => {
+    const first = new Date(2024, 2, 4, 9).getTime();
+    const end = new Date(2024, 2, 6, 12).getTime();
+    expect(timelineSteps([{ at: first }], "day", end)).toEqual([
+      new Date(2024, 2, 5).getTime() - 1,
+      new Date(2024, 2, 6).getTime() - 1,
+      end,
+    ]);
+  });
+
+  it("aligns weeks to Mondays", () => {
+    const wednesday = new Date(2024, 2, 6, 9).getTime();
+    const end = new Date(2024, 2, 20, 12).getTime();
+    expect(timelineSteps([{ at: wednesday }], "week", end)).toEqual([
+      new Date(2024, 2, 11).getTime() - 1,
+      new Date(2024, 2, 18).getTime() - 1,
+      end,
+    ]);
+  });
+
+  it("has only the end frame without changes", () => {
+    expect(timelineSteps([], "day", 5)).toEqual([5]);
+  });
+});
@@ -0,0 +1,134 @@
+// Configurable panel workflow: an ordered list of stages, each tracked either per
+// panel end (panelStates[id].left / .right) or once per panel (panelStates[id].panel).
+// Within a scope the order matters: a unit in a later stage also counts for every
+// earlier *cumulative* stage (terminated implies MC4). Non-cumulative stages such as
+// "defect" only count while a unit is in them.
+
+export const DEFAULT_WORKFLOW = [
+  { id: "mc4", name: "MC4 Installed", shortName: "MC4", color: "#0066cc", scope: "end", cumulative: true },
+  { id: "terminated", name: "Terminated", shortName: "Term.", color: "#00aa00", scope: "end", cumulative: true },
+  { id: "iv_tested", name: "IV-curve tested", shortName: "IV", color: "#7c3aed", scope: "panel", cumulative: true },
+  { id: "defect", name: "Defect", shortName: "Defect", color: "#dc2626", scope: "panel", cumulative: false },
+  { id: "rework", name: "Rework required", shortName: "Rework", color: "#ea580c", scope: "panel", cumulative: false },
+];
+
+// panelStates keys holding a stage of each scope
+export const SCOPE_KEYS = {
+  end: ["left", "right"],
+  panel: ["panel"],
+};
+
+export const ALL_KEYS = [...SCOPE_KEYS.end, ...SCOPE_KEYS.panel];
+
+// Status tool ids and export column keys, which can't be used as stage ids
+export const RESERVED_IDS = ["clear", "cycle", "date", "workers", "subcontractor"];
+
+export const scopeOfKey = (key) => (key === "panel" ? "panel" : "end");
+
+export const getStage = (workflow, id) => workflow.find((s) => s.id === id) || null;
+
+export const stagesOfScope = (workflow, scope) => workflow.filter((s) => s.scope === scope);
+
+// Does a unit currently in `current` count towards `stage`?
+export function reachesStage(workflow, current, stage) {
+  if (!current) return false;
+  if (current === stage.id) return true;
+  if (!stage.cumulative) return false;
+  const at = workflow.findIndex((s) => s.id === current);
+  const target = workflow.indexOf(stage);
+  return at > target && workflow[at].scope === stage.scope;
+}
+
+// State of one key (left / right / panel) after applying a tool: a stage id (set),
+// "clear" or "cycle". Setting an end stage never moves an end backwards - use clear
+// for that; panel stages (QA results) are set as given. Cycling steps through the end
+// stages and stops at the last one, so a stray click can't wipe finished work.
+export function nextState(workflow, key, current, tool) {
+  const scope = scopeOfKey(key);
+  if (tool === "clear") return null;
+
+  if (tool === "cycle") {
+    if (scope !== "end") return current;
+    const stages = stagesOfScope(workflow, "end");
+    const i = stages.findIndex((s) => s.id === current);
+    if (i === stages.length - 1) return current;
+    return stages[i + 1].id;
+  }
+
+  const stage = getStage(workflow, tool);
+  if (!stage || stage.scope !== scope) return current;
+  if (scope === "end" && workflow.findIndex((s) => s.id === current) > workflow.indexOf(stage)) return current;
+  return stage.id;
+}
+
+// Total / completed / remaining units per stage: { [stageId]: { total, completed, remaining } }
+export function countStages(workflow, panelIds, panelStates) {
+  const totals = {};
+  workflow.forEach((stage) => {
+    const keys = SCOPE_KEYS[stage.scope];
+    let completed = 0;
+    panelIds.forEach((panelId) => {
+      const state = panelStates[panelId];
+      if (!state) return;
+      keys.forEach((key) => {
+        if (reachesStage(workflow, state[key], stage)) completed++;
+      });
+    });
+    const total = panelIds.length * keys.length;
+    totals[stage.id] = { total, completed, remaining: total - completed };
+  });
+  return totals;
+}
+
+// Daily records store per-stage counts in stage_counts. Records submitted before the
+// workflow was configurable only have the MC4 / termination fields.
+const LEGACY_RECORD_FIELDS = { mc4: "installed_panels", terminated: "terminated_ends" };
+
+export function recordStageCount(record, stageId) {
+  if (record.stage_counts) return record.stage_counts[stageId] ?? 0;
+  const legacy = LEGACY_RECORD_FIELDS[stageId];
+  return (legacy && record[legacy]) || 0;
+}
+
+// Stage ids still referenced anywhere stored: current panel states, undo history, the
+// change log and daily record counts. Deleting one of these would bring back an id
+// with no style on undo, or drop counts from the reports.
+export function stagesInUse({ panelStates, history = [], changeLog = [], records = [] }) {
+  const ids = new Set();
+  const addStates = (states) => Object.values(states || {}).forEach((state) => {
+    Object.values(state).forEach((stageId) => stageId && ids.add(stageId));
+  });
+  addStates(panelStates);
+  history.forEach((entry) => addStates(entry.panelStates));
+  changeLog.forEach(({ from, to }) => {
+    if (from) ids.add(from);
+    if (to) ids.add(to);
+  });
+  records.forEach((record) => {
+    const stageIds = record.stage_counts ? Object.keys(record.stage_counts) : Object.keys(LEGACY_RECORD_FIELDS);
+    stageIds.forEach((stageId) => recordStageCount(record, stageId) && ids.add(stageId));
+  });
+  return ids;
+}
+
+// Check an edited workflow; returns a list of problems (empty when valid)
+export function validateWorkflow(workflow) {
+  const errors = [];
+  const ids = new Set();
+  if (!workflow.some((s) => s.scope === "end")) errors.push("At least one per-end stage is needed");
+  workflow.forEach((stage) => {
+    if (!stage.name.trim()) errors.push("Every stage needs a name");
+    if (ids.has(stage.id)) errors.push(`Duplicate stage id "${stage.id}"`);
+    if (RESERVED_IDS.includes(stage.id)) errors.push(`"${stage.id}" can't be used as a stage id`);
+    ids.add(stage.id);
+  });
+  return [...new Set(errors)];
+}
+
+// Stable id for a new stage, derived from its name
+export function makeStageId(name, workflow) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "") || "stage";
+  let id = base;
+  for (let n = 2; workflow.some((s) => s.id === id) || RESERVED_IDS.includes(id); n++) id = `${base}_${n}`;
+  return id;
+}
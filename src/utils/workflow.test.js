@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_WORKFLOW, makeStageId, nextState, reachesStage, stagesInUse, validateWorkflow } from "./workflow";
+
+const stage = (id) => DEFAULT_WORKFLOW.find((s) => s.id === id);
+
+describe("reachesStage", () => {
+  it("counts later stages of the same scope towards cumulative stages", () => {
+    expect(reachesStage(DEFAULT_WORKFLOW, "terminated", stage("mc4"))).toBe(true);
+    expect(reachesStage(DEFAULT_WORKFLOW, "mc4", stage("mc4"))).toBe(true);
+    expect(reachesStage(DEFAULT_WORKFLOW, "mc4", stage("terminated"))).toBe(false);
+    expect(reachesStage(DEFAULT_WORKFLOW, null, stage("mc4"))).toBe(false);
+  });
+
+  it("doesn't carry over between scopes", () => {
+    expect(reachesStage(DEFAULT_WORKFLOW, "iv_tested", stage("terminated"))).toBe(false);
+  });
+
+  it("only counts non-cumulative stages while a unit is in them", () => {
+    expect(reachesStage(DEFAULT_WORKFLOW, "defect", stage("defect"))).toBe(true);
+    expect(reachesStage(DEFAULT_WORKFLOW, "rework", stage("defect"))).toBe(false);
+  });
+});
+
+describe("nextState", () => {
+  it("cycles through the end stages and stops at the last one", () => {
+    expect(nextState(DEFAULT_WORKFLOW, "left", null, "cycle")).toBe("mc4");
+    expect(nextState(DEFAULT_WORKFLOW, "left", "mc4", "cycle")).toBe("terminated");
+    expect(nextState(DEFAULT_WORKFLOW, "left", "terminated", "cycle")).toBe("terminated");
+  });
+
+  it("leaves panel keys alone when cycling", () => {
+    expect(nextState(DEFAULT_WORKFLOW, "panel", "defect", "cycle")).toBe("defect");
+  });
+
+  it("never moves an end backwards when setting a stage", () => {
+    expect(nextState(DEFAULT_WORKFLOW, "right", null, "terminated")).toBe("terminated");
+    expect(nextState(DEFAULT_WORKFLOW, "right", "terminated", "mc4")).toBe("terminated");
+  });
+
+  it("sets panel stages as given, in any order", () => {
+    expect(nextState(DEFAULT_WORKFLOW, "panel", "rework", "iv_tested")).toBe("iv_tested");
+  });
+
+  it("ignores stages of the other scope and clears on clear", () => {
+    expect(nextState(DEFAULT_WORKFLOW, "left", "mc4", "defect")).toBe("mc4");
+    expect(nextState(DEFAULT_WORKFLOW, "panel", "defect", "mc4")).toBe("defect");
+    expect(nextState(DEFAULT_WORKFLOW, "left", "terminated", "clear")).toBe(null);
+  });
+});
+
+describe("stagesInUse", () => {
+  it("collects stages from states, history, the change log and records", () => {
+    const ids = stagesInUse({
+      panelStates: { a: { left: "mc4" } },
+      history: [{ panelStates: { a: { panel: "defect" } } }],
+      changeLog: [{ panelId: "a", side: "left", from: "terminated", to: null }],
+      records: [
+        { stage_counts: { iv_tested: 3, rework: 0 } },
+        { installed_panels: 0, terminated_ends: 0 },
+      ],
+    });
+    expect([...ids].sort()).toEqual(["defect", "iv_tested", "mc4", "terminated"]);
+  });
+
+  it("counts the fields of records from before configurable workflows", () => {
+    expect([...stagesInUse({ panelStates: {}, records: [{ installed_panels: 4 }] })]).toEqual(["mc4"]);
+  });
+});
+
+describe("validateWorkflow", () => {
+  it("accepts the default workflow", () => {
+    expect(validateWorkflow(DEFAULT_WORKFLOW)).toEqual([]);
+  });
+
+  it("reports duplicate, reserved and missing end stages", () => {
+    const errors = validateWorkflow([
+      { id: "cycle", name: "Cycle", scope: "panel" },
+      { id: "cycle", name: "Again", scope: "panel" },
+    ]);
+    expect(errors).toContain("At least one per-end stage is needed");
+    expect(errors).toContain('Duplicate stage id "cycle"');
+    expect(errors).toContain('"cycle" can\'t be used as a stage id');
+  });
+});
+
+describe("makeStageId", () => {
+  it("derives a unique id from the name", () => {
+    expect(makeStageId("Torque check!", DEFAULT_WORKFLOW)).toBe("torque_check");
+    expect(makeStageId("MC4", DEFAULT_WORKFLOW)).toBe("mc4_2");
+    expect(makeStageId("Clear", DEFAULT_WORKFLOW)).toBe("clear_2");
+  });
+});